@@ -0,0 +1,159 @@
+"use client";
+
+import { useState, useEffect, useMemo } from "react";
+import engine from "./revolving-engine.js";
+import { scheduleForTotal, teaserElement, scheduleTableElement } from "./revolving-view.mjs";
+
+const DEFAULT_BASE_URL = "https://1367-studio.github.io/santander-calc/";
+const DEFAULT_FILES = ["revolving_bands_0_1250.json", "revolving_bands_1251_5000.json"];
+
+/* ── Rules loading ─────────────────────────────────────────────────────────── */
+
+// One fetch per rules source, shared by every hook on the page (e.g. a product grid)
+const tiersCache = new Map();
+
+async function fetchJson(url) {
+  const r = await fetch(url, { cache: "no-store" });
+  if (!r.ok) throw new Error(`${url}: HTTP ${r.status}`);
+  return r.json();
+}
+
+/**
+ * Fetch and normalize the tiers, like the widget: from a manifest (versions valid
+ * on `date`) or from a list of files. Files that fail are skipped with a warning;
+ * it only fails if no tier could be loaded.
+ */
+async function fetchTiers({ baseUrl, files, manifest, date }) {
+  const base = new URL(baseUrl, window.location.href);
+  if (!base.pathname.endsWith("/")) base.pathname += "/";
+
+  let sources;
+  if (manifest) {
+    const manifestUrl = new URL(manifest, base);
+    const json = await fetchJson(manifestUrl.href);
+    sources = engine.resolveManifest(json, date || new Date()).map((v) => ({
+      id: v.id,
+      validDate: v.effective_from,
+      rule: v.rule,
+      url: v.file ? new URL(v.file, manifestUrl).href : null,
+    }));
+  } else {
+    sources = files.map((file) => ({ url: new URL(file, base).href }));
+  }
+
+  const results = await Promise.allSettled(
+    sources.map((src) => (src.rule ? src.rule : fetchJson(src.url))),
+  );
+  const rules = [];
+  results.forEach((r, i) => {
+    if (r.status === "fulfilled") {
+      const tier = engine.normalizeRule(r.value, i);
+      const { id, validDate } = sources[i];
+      // As the widget's applyVersion: the version's effective_from is the legal text's rate date
+      rules.push({
+        ...tier,
+        id: id || tier.id,
+        meta: { ...tier.meta, valid_date: validDate || tier.meta.valid_date },
+      });
+    } else {
+      console.warn(`[Revolving] ${sources[i].url} skipped:`, r.reason);
+    }
+  });
+  if (!rules.length) throw new Error("no revolving rules could be loaded");
+  return engine.normalizeTiers(rules);
+}
+
+function loadTiers(source) {
+  const key = JSON.stringify(source);
+  if (!tiersCache.has(key)) {
+    tiersCache.set(
+      key,
+      fetchTiers(source).catch((e) => {
+        tiersCache.delete(key);
+        throw e;
+      }),
+    );
+  }
+  return tiersCache.get(key);
+}
+
+/* ── Hook ──────────────────────────────────────────────────────────────────── */
+
+/**
+ * Revolving schedule for `total`, computed by the same engine as the widget.
+ *
+ *   const { status, firstPayment, months, rows } = useRevolvingSchedule(1250);
+ *
+ * Options:
+ * - rules:    rules JSONs (e.g. imported revolving_bands_*.json) — nothing is fetched
+ * - files:    rules files relative to baseUrl (default: the two default tiers)
+ * - manifest: rules manifest relative to baseUrl, used instead of `files`
+ * - date:     calculation date for the manifest (Date or "YYYY-MM-DD", default: today)
+ * - baseUrl:  where the files are served (default: the GitHub Pages build)
+ * - tierIndex: credit limit picked by the shopper (a higher tier is used if the total needs it)
+ *
+ * `status` is "loading", "ready" or "error"; until "ready" the amounts are 0,
+ * `rows` is empty and `tiers` (the normalized tiers) is null.
+ */
+export function useRevolvingSchedule(total, options = {}) {
+  const {
+    rules,
+    files = DEFAULT_FILES,
+    manifest,
+    date,
+    baseUrl = DEFAULT_BASE_URL,
+    tierIndex,
+  } = options;
+
+  // Bundled rules are used synchronously; fetched ones land in state
+  const bundled = useMemo(() => (rules ? engine.normalizeTiers(rules) : null), [rules]);
+  const [fetched, setFetched] = useState({ tiers: null, error: null });
+
+  const fileKey = [].concat(files).join(",");
+  const dateKey = date ? engine.toDayKey(date) : "";
+  useEffect(() => {
+    if (bundled) return;
+    let cancelled = false;
+    setFetched({ tiers: null, error: null });
+    loadTiers({ baseUrl, files: fileKey.split(","), manifest, date: dateKey || undefined }).then(
+      (tiers) => !cancelled && setFetched({ tiers, error: null }),
+      (error) => !cancelled && setFetched({ tiers: null, error }),
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [bundled, baseUrl, fileKey, manifest, dateKey]);
+
+  const tiers = bundled || fetched.tiers;
+
+  return useMemo(
+    () => ({
+      status: tiers ? "ready" : fetched.error ? "error" : "loading",
+      error: fetched.error,
+      tiers,
+      ...scheduleForTotal(tiers, total, { tierIndex }),
+    }),
+    [tiers, fetched.error, total, tierIndex],
+  );
+}
+
+/* ── Components ────────────────────────────────────────────────────────────── */
+
+/**
+ * "Or from X €/month with instalments." for product cards and cart lines.
+ * Renders nothing until the rules are loaded, or for an empty total.
+ */
+export function RevolvingTeaser({ total, lang = "fr", className, style, ...options }) {
+  const { firstPayment } = useRevolvingSchedule(total, options);
+  return teaserElement({ firstPayment, lang, className, style });
+}
+
+/**
+ * The repayment schedule table, with the widget's markup (`.sr-table`), to drop
+ * into your own dialog. `detailed` adds opening balance, interest, card fee,
+ * principal and remaining balance columns.
+ */
+export function RevolvingSchedule({ total, lang = "fr", detailed = false, className, style, ...options }) {
+  const { rows } = useRevolvingSchedule(total, options);
+  return scheduleTableElement({ rows, lang, detailed, className, style });
+}
@@ -1,8 +1,32 @@
 "use client";
 
-import { useState, useEffect, createElement } from "react";
+import { useState, useEffect, useRef, createElement } from "react";
+import { useRevolvingSchedule } from "./RevolvingSchedule.jsx";
+import { modalElement } from "./revolving-view.mjs";
 
-const BASE_URL = "https://1367-studio.github.io/santander-calc/";
+const DEFAULT_BASE_URL = "https://1367-studio.github.io/santander-calc/";
+
+// Versioned postMessage protocol with the iframe (see index.html)
+const SR_CHANNEL = "santander-calc";
+const SR_VERSION = 1;
+
+// Inline mode: the widget's stylesheet is added once per page, for the native modal
+let inlineCount = 0;
+
+function loadStyles(base) {
+  if (document.querySelector("link[data-sr-styles]")) return;
+  const link = document.createElement("link");
+  link.rel = "stylesheet";
+  link.href = `${base}santander-revolving.css`;
+  link.setAttribute("data-sr-styles", "");
+  document.head.appendChild(link);
+}
+
+function resolveBase(baseUrl) {
+  const base = new URL(baseUrl, window.location.href);
+  if (!base.pathname.endsWith("/")) base.pathname += "/";
+  return base;
+}
 
 const LABELS = {
   fr: "Voir l'échéancier",
@@ -11,6 +35,56 @@ const LABELS = {
   de: "Plan anzeigen",
 };
 
+/**
+ * Inline mode: the widget's modal rendered natively, from the same engine and
+ * markup as RevolvingSchedule. Rules load from baseUrl like index.html's.
+ */
+function InlineCalc({ id, total, lang, detailed, theme, baseUrl, files, manifest, callbacks, onClose }) {
+  const [amount, setAmount] = useState(String(total));
+  const [limitIdx, setLimitIdx] = useState(0);
+  const schedule = useRevolvingSchedule(Number(amount) || 0, { baseUrl, files, manifest, tierIndex: limitIdx });
+
+  // A total above the selected credit limit moves the selection up, like the widget
+  useEffect(() => {
+    if (schedule.tierIndex > limitIdx) setLimitIdx(schedule.tierIndex);
+  }, [schedule.tierIndex]);
+
+  // A new `total` prop replaces the typed amount, like setTotal in the iframe
+  useEffect(() => setAmount(String(Number(total) || 0)), [total]);
+
+  useEffect(() => loadStyles(resolveBase(baseUrl).href), [baseUrl]);
+
+  useEffect(() => {
+    document.body.classList.add("sr-open");
+    return () => document.body.classList.remove("sr-open");
+  }, []);
+
+  useEffect(() => {
+    if (schedule.status === "ready") callbacks.current.onReady?.({ version: SR_VERSION });
+  }, [schedule.status]);
+
+  // Same payload as the widget's sr-schedule event
+  useEffect(() => {
+    if (schedule.status !== "ready" || !schedule.firstPayment) return;
+    const { total: financed, tier, firstPayment, months, totalPaid, totalInterest, totalFees, totalCost } = schedule;
+    callbacks.current.onSchedule?.({
+      total: financed, deposit: 0, financed, tier,
+      firstPayment, months, totalPaid, totalInterest, totalFees, totalCost,
+    });
+  }, [schedule.status, schedule.total, schedule.tier]);
+
+  const onAmountInput = (value) => {
+    setAmount(value);
+    const n = parseFloat(value);
+    if (n > 0) callbacks.current.onAmountChange?.(n);
+  };
+
+  return modalElement({
+    id, schedule, status: schedule.status, amount, tierIndex: limitIdx, lang, detailed, theme,
+    onAmountInput, onLimitSelect: setLimitIdx, onClose,
+  });
+}
+
 export function SantanderCalcButton({
   total,
   lang = "fr",
@@ -21,27 +95,137 @@ export function SantanderCalcButton({
   btnText,
   className,
   style,
+  detailed = false,
+  mode = "iframe",
+  baseUrl = DEFAULT_BASE_URL,
+  revolvingFiles,
+  revolvingFileA,
+  revolvingFileB,
+  revolvingManifest,
+  onReady,
+  onSchedule,
+  onAmountChange,
+  onResize,
+  onClose,
 }) {
-  const [isOpen, setIsOpen] = useState(false);
+  // iframe src is frozen at open time; later prop changes are posted to the live iframe
+  const [src, setSrc] = useState(null);
+  // Inline mode: the modal is rendered into this page while open
+  const [inline, setInline] = useState(false);
+  const [ready, setReady] = useState(false);
+  const iframeRef = useRef(null);
+  const rootId = useRef(null);
+  const widgetOrigin = useRef(null);
+  const callbacks = useRef({});
+  callbacks.current = { onReady, onSchedule, onAmountChange, onResize, onClose };
+
+  const resolvedHeaderBg = headerBg || primary;
+
+  const post = (type, payload) => {
+    const win = iframeRef.current?.contentWindow;
+    if (win) win.postMessage({ channel: SR_CHANNEL, v: SR_VERSION, type, payload }, widgetOrigin.current);
+  };
+
+  const open = () => {
+    if (mode === "inline") {
+      if (rootId.current == null) rootId.current = ++inlineCount;
+      setInline(true);
+      return;
+    }
+
+    const params = new URLSearchParams({
+      total:    String(total),
+      lang,
+      primary,
+      bg,
+      headerBg: resolvedHeaderBg,
+      headerFg,
+      autoopen: "true",
+      parentOrigin: window.location.origin,
+    });
+    if (detailed) params.set("detailed", "true");
+
+    // Rule file overrides, resolved by index.html against baseUrl (same origin only)
+    const files = Array.isArray(revolvingFiles) ? revolvingFiles.join(",") : revolvingFiles;
+    if (files) params.set("revolvingFiles", files);
+    if (revolvingFileA) params.set("revolvingFileA", revolvingFileA);
+    if (revolvingFileB) params.set("revolvingFileB", revolvingFileB);
+    if (revolvingManifest) params.set("revolvingManifest", revolvingManifest);
+
+    const base = resolveBase(baseUrl);
+    widgetOrigin.current = base.origin;
+    setSrc(`${base.href}?${params}`);
+  };
 
   useEffect(() => {
-    if (!isOpen) return;
+    if (!src) return;
     const handleMessage = (e) => {
-      if (e.data === "sr:close") setIsOpen(false);
+      if (e.origin !== widgetOrigin.current || e.source !== iframeRef.current?.contentWindow) return;
+      const msg = e.data;
+      if (!msg || msg.channel !== SR_CHANNEL || msg.v !== SR_VERSION) return;
+      const payload = msg.payload || {};
+      const cb = callbacks.current;
+      switch (msg.type) {
+        case "ready":
+          setReady(true);
+          cb.onReady?.(payload);
+          break;
+        case "scheduleComputed":
+          cb.onSchedule?.(payload);
+          break;
+        case "amountChanged":
+          cb.onAmountChange?.(payload.total);
+          break;
+        case "resize":
+          cb.onResize?.(payload);
+          break;
+        case "close":
+          setSrc(null);
+          setReady(false);
+          cb.onClose?.();
+          break;
+      }
     };
     window.addEventListener("message", handleMessage);
     return () => window.removeEventListener("message", handleMessage);
-  }, [isOpen]);
-
-  const params = new URLSearchParams({
-    total:    String(total),
-    lang,
-    primary,
-    bg,
-    headerBg: headerBg || primary,
-    headerFg,
-    autoopen: "true",
-  });
+  }, [src]);
+
+  // Live updates posted to the open iframe (the inline modal re-renders from props)
+  useEffect(() => {
+    if (ready) post("setTotal", { total: Number(total) || 0 });
+  }, [ready, total]);
+
+  useEffect(() => {
+    if (ready) post("setLang", { lang });
+  }, [ready, lang]);
+
+  useEffect(() => {
+    if (ready) post("setTheme", { primary, bg, headerBg: resolvedHeaderBg, headerFg });
+  }, [ready, primary, bg, resolvedHeaderBg, headerFg]);
+
+  // Same rules index.html gives the widget; paths resolve against baseUrl
+  const inlineCalc = () => {
+    const listed = (Array.isArray(revolvingFiles) ? revolvingFiles : (revolvingFiles || "").split(","))
+      .map((f) => f.trim())
+      .filter(Boolean);
+    return createElement(InlineCalc, {
+      id:       `santander-revolving-modal-react-${rootId.current}`,
+      total,
+      lang,
+      detailed,
+      theme:    { primary, bg, headerBg: resolvedHeaderBg, headerFg },
+      baseUrl,
+      files:    listed.length
+        ? listed
+        : [revolvingFileA || "revolving_bands_0_1250.json", revolvingFileB || "revolving_bands_1251_5000.json"],
+      manifest: revolvingManifest,
+      callbacks,
+      onClose:  () => {
+        setInline(false);
+        callbacks.current.onClose?.();
+      },
+    });
+  };
 
   const label = btnText || LABELS[lang] || LABELS.fr;
 
@@ -65,15 +249,17 @@ export function SantanderCalcButton({
       "button",
       {
         type:      "button",
-        onClick:   () => setIsOpen(true),
+        onClick:   open,
         className,
         style:     { ...defaultStyle, ...style },
       },
       label
     ),
-    isOpen &&
+    inline && inlineCalc(),
+    src &&
       createElement("iframe", {
-        src:              `${BASE_URL}?${params}`,
+        ref:              iframeRef,
+        src,
         allowTransparency: true,
         style: {
           position:   "fixed",
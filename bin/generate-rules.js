@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Regenerate the `sub_ranges` table of a rules file from its rate parameters.
+ *
+ *   npx santander-calc-generate revolving_bands_0_1250.json --months 20          # print regenerated file
+ *   npx santander-calc-generate revolving_bands_0_1250.json --write out.json     # write it
+ *   npx santander-calc-generate revolving_bands_0_1250.json --diff               # check the shipped table
+ *
+ * Payment rule (how large a balance each first_payment covers), in priority order:
+ *   --months N      annuity: a level payment repays the bracket's ceiling in N months
+ *   --percent P     percent: first payment = P × balance (e.g. 0.0566)
+ *   the file's own `payment_rule`, otherwise one fitted to its current table.
+ *
+ * Rate parameters come from the file and can be overridden with
+ *   --rate <monthly_rate> --step <payment_step> --min-payment <min_payment> --max <range.max>
+ *
+ * --diff prints the brackets that differ (beyond --tolerance euros, default 0.01)
+ * and exits with 1 if there are any. The shipped tables only approximate an
+ * annuity, so an exact diff reports most of their brackets; add
+ * --payment-tolerance E to compare payments instead: at both bounds of every
+ * existing bracket, the generated first payment must be within E euros.
+ *
+ *   npx santander-calc-generate revolving_bands_0_1250.json --diff --payment-tolerance 5
+ */
+
+const fs = require("fs");
+const {
+  generateSubRanges,
+  fitPaymentRule,
+  diffSubRanges,
+  comparePayments,
+  validateRules,
+  formatDiagnostics,
+} = require("../revolving-engine.js");
+
+const USAGE =
+  "Usage: santander-calc-generate <rules.json> [--months N | --percent P] " +
+  "[--rate R] [--step S] [--min-payment M] [--max X] [--diff [--tolerance T | --payment-tolerance E]] [--write out.json]";
+
+/** Minimal `--flag value` / `--switch` parser. */
+function parseArgs(argv) {
+  const opts = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--help" || a === "-h") {
+      opts.help = true;
+    } else if (!a.startsWith("--")) {
+      opts._.push(a);
+    } else if (a === "--diff") {
+      opts.diff = true;
+    } else {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`${a} needs a value`);
+      opts[a.slice(2)] = value;
+    }
+  }
+  return opts;
+}
+
+/** Parse a numeric option, failing loudly on garbage. */
+function num(opts, key) {
+  if (opts[key] === undefined) return undefined;
+  const n = Number(opts[key]);
+  if (!Number.isFinite(n)) throw new Error(`--${key} must be a number`);
+  return n;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  const file = opts._[0];
+  if (!file) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const rule = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  const params = {
+    monthly_rate: num(opts, "rate") ?? rule.monthly_rate,
+    payment_step: num(opts, "step") ?? rule.payment_step,
+    min_payment: num(opts, "min-payment") ?? rule.min_payment,
+    range: { ...rule.range, max: num(opts, "max") ?? rule.range?.max },
+    payment_rule:
+      opts.months !== undefined
+        ? { type: "annuity", months: num(opts, "months") }
+        : opts.percent !== undefined
+          ? { type: "percent", percent: num(opts, "percent") }
+          : rule.payment_rule || fitPaymentRule(rule),
+  };
+  if (!params.payment_rule) {
+    throw new Error("no payment rule: pass --months or --percent");
+  }
+
+  const generated = generateSubRanges(params);
+
+  if (opts.diff && opts["payment-tolerance"] !== undefined) {
+    const tolerance = num(opts, "payment-tolerance");
+    const c = comparePayments(rule.sub_ranges, generated, { tolerance });
+    console.log(`${file}: payment rule ${JSON.stringify(params.payment_rule)}, tolerance ${tolerance} €`);
+    c.deviations.forEach((d) =>
+      console.log(`  ~ ${d.balance}: ${d.existing}  →  ${d.generated}`),
+    );
+    console.log(
+      c.withinTolerance
+        ? `  ✓ payments within tolerance (largest gap ${c.maxDeviation} €)`
+        : `  ✗ ${c.deviations.length} balance(s) beyond tolerance (largest gap ${c.maxDeviation} €)`,
+    );
+    return c.withinTolerance ? 0 : 1;
+  }
+
+  if (opts.diff) {
+    const tolerance = num(opts, "tolerance") ?? 0.01;
+    const d = diffSubRanges(rule.sub_ranges, generated, { tolerance });
+    const fmt = (r) => `${r.min} – ${r.max}`;
+    console.log(`${file}: payment rule ${JSON.stringify(params.payment_rule)}`);
+    d.changed.forEach((c) =>
+      console.log(
+        `  ~ ${c.first_payment}: ${fmt(c.existing)}  →  ${fmt(c.generated)}`,
+      ),
+    );
+    d.added.forEach((r) => console.log(`  + ${r.first_payment}: ${fmt(r)}`));
+    d.removed.forEach((r) => console.log(`  - ${r.first_payment}: ${fmt(r)}`));
+    console.log(
+      d.equal
+        ? "  ✓ table matches"
+        : `  ✗ ${d.changed.length} changed, ${d.added.length} added, ${d.removed.length} removed`,
+    );
+    return d.equal ? 0 : 1;
+  }
+
+  const out = {
+    ...rule,
+    monthly_rate: params.monthly_rate,
+    payment_step: params.payment_step,
+    min_payment: params.min_payment,
+    range: params.range,
+    payment_rule: params.payment_rule,
+    sub_ranges: generated,
+  };
+
+  // Never emit a file the widget would reject
+  const result = validateRules(out);
+  if (!result.valid) {
+    formatDiagnostics(result).forEach((line) => console.error(line));
+    return 1;
+  }
+
+  const json = JSON.stringify(out, null, 2);
+  if (opts.write) {
+    fs.writeFileSync(opts.write, json);
+    console.error(`wrote ${opts.write} (${generated.length} brackets)`);
+  } else {
+    process.stdout.write(json + "\n");
+  }
+  return 0;
+}
+
+try {
+  process.exit(main());
+} catch (e) {
+  console.error(`santander-calc-generate: ${e.message}`);
+  process.exit(2);
+}
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Validate revolving rules JSON files from the command line.
+ *
+ *   npx santander-calc-validate revolving_bands_0_1250.json revolving_bands_1251_5000.json
+ *   npx santander-calc-validate revolving_manifest.json      # checks every version it lists
+ *
+ * Prints one line per diagnostic and exits with 1 if any file has errors.
+ * --strict also fails on warnings.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { validateRules, formatDiagnostics } = require("../revolving-engine.js");
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const files = args.filter((a) => !a.startsWith("--"));
+
+if (!files.length) {
+  console.error("Usage: santander-calc-validate [--strict] <rules.json | manifest.json> ...");
+  process.exit(2);
+}
+
+/** Read and parse a JSON file, turning failures into a diagnostic. */
+function readJson(file) {
+  try {
+    return { json: JSON.parse(fs.readFileSync(file, "utf8")) };
+  } catch (e) {
+    return { error: e.code === "ENOENT" ? "file not found" : e.message };
+  }
+}
+
+/** Expand a manifest into one entry per listed version; plain rules pass through. */
+function targets(file, json) {
+  if (!Array.isArray(json?.tiers)) return [{ label: file, json }];
+  const dir = path.dirname(file);
+  const out = [];
+  json.tiers.forEach((tier, i) => {
+    (tier.versions || []).forEach((v, j) => {
+      const label = `${file} › tiers[${i}].versions[${j}]${v.file ? ` (${v.file})` : ""}`;
+      if (v.rule) {
+        out.push({ label, json: v.rule });
+      } else if (v.file) {
+        const { json: rule, error } = readJson(path.resolve(dir, v.file));
+        out.push(error ? { label, error } : { label, json: rule });
+      } else {
+        out.push({ label, error: "version has neither `file` nor `rule`" });
+      }
+    });
+  });
+  return out;
+}
+
+let failed = false;
+
+for (const file of files) {
+  const { json, error } = readJson(file);
+  const list = error ? [{ label: file, error }] : targets(file, json);
+
+  for (const t of list) {
+    if (t.error) {
+      failed = true;
+      console.log(`✗ ${t.label}\n  error    (file): ${t.error}`);
+      continue;
+    }
+    const result = validateRules(t.json);
+    const bad = !result.valid || (strict && result.warnings.length > 0);
+    if (bad) failed = true;
+    console.log(`${bad ? "✗" : "✓"} ${t.label} (${result.format} format)`);
+    formatDiagnostics(result).forEach((line) => console.log(`  ${line}`));
+  }
+}
+
+process.exit(failed ? 1 : 0);
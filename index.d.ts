@@ -19,8 +19,491 @@ export interface SantanderCalcButtonProps {
   className?: string;
   /** Inline styles applied to the button */
   style?: React.CSSProperties;
+  /** Show the detailed amortization table (balance, interest, fee, capital) — default: false */
+  detailed?: boolean;
+  /**
+   * "iframe" opens index.html in a full-screen frame; "inline" renders the modal
+   * in this page with the engine, styled by santander-revolving.css from `baseUrl` — default: "iframe"
+   */
+  mode?: "iframe" | "inline";
+  /** Where the widget's index.html is served from — default: the public GitHub Pages build */
+  baseUrl?: string;
+  /** Rule files, one per credit tier, relative to `baseUrl` */
+  revolvingFiles?: string | string[];
+  /** First tier's rules file, relative to `baseUrl` */
+  revolvingFileA?: string;
+  /** Second tier's rules file, relative to `baseUrl` */
+  revolvingFileB?: string;
+  /** Rules manifest with effective dates, relative to `baseUrl` */
+  revolvingManifest?: string;
+  /** Called once the iframe is ready to receive live updates */
+  onReady?: (payload: { version: number }) => void;
+  /** Called every time the schedule is (re)computed */
+  onSchedule?: (summary: ScheduleSummary) => void;
+  /** Called when the user edits the amount inside the modal */
+  onAmountChange?: (total: number) => void;
+  /** Called when the modal card changes size */
+  onResize?: (size: { width: number; height: number }) => void;
+  /** Called when the user closes the modal */
+  onClose?: () => void;
 }
 
+/** Theme colors accepted by `setTheme` and the `setTheme` message */
+export interface SantanderCalcTheme {
+  primary?: string;
+  bg?: string;
+  headerBg?: string;
+  headerFg?: string;
+}
+
+/** Detail of the `sr-schedule` event and payload of `scheduleComputed` */
+export interface ScheduleSummary {
+  /** Purchase amount */
+  total: number;
+  /** Deposit paid upfront (0 without a deposit control) */
+  deposit: number;
+  /** Amount the schedule finances: total minus deposit */
+  financed: number;
+  tier: string;
+  firstPayment: number;
+  months: number;
+  totalPaid: number;
+  totalInterest: number;
+  totalFees: number;
+  totalCost: number;
+  /** With `data-extra-repayment` and an extra payment entered: the accelerated schedule */
+  extra?: {
+    firstPayment: number;
+    months: number;
+    totalPaid: number;
+    totalInterest: number;
+    totalFees: number;
+    totalCost: number;
+    monthsSaved: number;
+    interestSaved: number;
+  };
+  /** With `data-instalment-offers`: the revolving credit ("revolving") and each offer covering the amount */
+  offers?: Array<{
+    id: string;
+    label: string;
+    payment: number;
+    months: number;
+    totalPaid: number;
+    totalCost: number;
+    /** Lowest total cost of the comparison */
+    cheapest: boolean;
+  }>;
+}
+
+/** Envelope of every postMessage between host and iframe */
+export type SantanderCalcMessage =
+  | { channel: "santander-calc"; v: 1; type: "setTotal"; payload: { total: number } }
+  | { channel: "santander-calc"; v: 1; type: "setLang"; payload: { lang: "fr" | "en" | "nl" | "de" } }
+  | { channel: "santander-calc"; v: 1; type: "setTheme"; payload: SantanderCalcTheme }
+  | { channel: "santander-calc"; v: 1; type: "ready"; payload: { version: number } }
+  | { channel: "santander-calc"; v: 1; type: "scheduleComputed"; payload: ScheduleSummary }
+  | { channel: "santander-calc"; v: 1; type: "amountChanged"; payload: { total: number } }
+  | { channel: "santander-calc"; v: 1; type: "resize"; payload: { width: number; height: number } }
+  | { channel: "santander-calc"; v: 1; type: "close"; payload: {} };
+
 export declare function SantanderCalcButton(
   props: SantanderCalcButtonProps
 ): React.JSX.Element;
+
+/* ── Hooks and components ─────────────────────────────────────────────────── */
+
+export interface RevolvingRulesOptions {
+  /** Rules JSONs (e.g. imported `revolving_bands_*.json`); nothing is fetched */
+  rules?: object[];
+  /** Rules files relative to `baseUrl` — default: the two default tiers */
+  files?: string | string[];
+  /** Rules manifest relative to `baseUrl`, used instead of `files` */
+  manifest?: string;
+  /** Calculation date for the manifest — default: today */
+  date?: Date | string;
+  /** Where the rules files are served from — default: the GitHub Pages build */
+  baseUrl?: string;
+}
+
+export interface RevolvingScheduleOptions extends RevolvingRulesOptions {
+  /** Credit limit picked by the shopper (tier index); a higher tier is used if the total needs it */
+  tierIndex?: number;
+}
+
+export interface RevolvingScheduleState extends ScheduleResult {
+  /** Amounts are 0 and `rows` is empty until "ready" */
+  status: "loading" | "ready" | "error";
+  error: Error | null;
+  /** The normalized tiers, sorted by range (null until "ready") */
+  tiers: RevolvingRule[] | null;
+  /** Id of the tier applied to the total (null when it can't be financed) */
+  tier: string | null;
+  /** Index of that tier in `tiers` */
+  tierIndex: number | null;
+  /**
+   * Why the total can't be financed, as in `ineligibility` ("" if it can): above
+   * the highest tier's `range.max` the schedule is empty and the teaser renders nothing
+   */
+  ineligible: "" | "empty" | "tooHigh";
+}
+
+/** Schedule for `total`, computed by the same engine as the widget */
+export declare function useRevolvingSchedule(
+  total: number,
+  options?: RevolvingScheduleOptions
+): RevolvingScheduleState;
+
+export interface RevolvingTeaserProps extends RevolvingRulesOptions {
+  total: number;
+  lang?: "fr" | "en" | "nl" | "de";
+  /** Default: "sr-react-teaser" */
+  className?: string;
+  style?: React.CSSProperties;
+}
+
+/** "Or from X €/month with instalments." — renders nothing until rules are loaded */
+export declare function RevolvingTeaser(props: RevolvingTeaserProps): React.JSX.Element | null;
+
+export interface RevolvingScheduleProps extends RevolvingRulesOptions {
+  total: number;
+  lang?: "fr" | "en" | "nl" | "de";
+  /** Opening balance, interest, card fee, principal and remaining columns — default: false */
+  detailed?: boolean;
+  /** Class of the wrapper around `table.sr-table` — default: "sr-table-wrap" */
+  className?: string;
+  style?: React.CSSProperties;
+}
+
+/** The repayment schedule table, with the widget's `.sr-table` markup */
+export declare function RevolvingSchedule(props: RevolvingScheduleProps): React.JSX.Element | null;
+
+/* ── window.SantanderCalc (santander-revolving.js) ──────────────────────── */
+
+export interface SantanderCalcApi {
+  /** Open the modal, optionally for a total (euros) and language */
+  open(options?: { total?: number; lang?: "fr" | "en" | "nl" | "de" }): Promise<void>;
+  /** Set a new total; re-renders the schedule if the modal is open */
+  update(total: number): Promise<void>;
+  close(): Promise<void>;
+  setLanguage(lang: "fr" | "en" | "nl" | "de"): Promise<void>;
+  setTheme(theme: SantanderCalcTheme): Promise<void>;
+  /** Remove every calculator from the page */
+  destroy(): Promise<void>;
+  /** Add a cart total provider for `data-cart-provider="<name>"` (santander-revolving.js only) */
+  registerCartProvider?(name: string, provider: CartTotalProvider): Promise<void>;
+}
+
+/** Settings a cart provider reads from the root's data-cart-* attributes */
+export interface CartProviderConfig {
+  /** data-cart-url */
+  url: string;
+  /** data-cart-total-path, e.g. "data.cart.total" */
+  path: string;
+  /** data-cart-minor-units: decimals of the amount (2 for cents, 0 for euros) */
+  minorUnits: number;
+  /** data-cart-callback: name of a global function, e.g. "shop.cartTotal" */
+  callback: string;
+  /** Set when data-exclude-tags needs the lines' tags */
+  withTags: boolean;
+}
+
+/** A cart line, for the exclusion rules (data-exclude-*) */
+export interface CartLine {
+  /** Line total in major units (euros) */
+  amount: number;
+  productType?: string;
+  tags?: string[];
+  sku?: string;
+  giftCard?: boolean;
+}
+
+/** Where the widget reads the cart total when the root has no data-total */
+export interface CartTotalProvider {
+  /** Cart total in major units (euros); with the lines, excluded ones are taken out */
+  getTotal(config: CartProviderConfig): Promise<number | { total: number; items: CartLine[] }>;
+  /** URLs (path + query) whose successful fetch / XHR calls change the cart */
+  mutations?: RegExp;
+  /** Events fired on the page after the cart changed */
+  events?: string[];
+}
+
+/** The `<santander-calc>` custom element defined by santander-revolving.js */
+export interface SantanderCalcElement extends HTMLElement {
+  /** Open the schedule, as if the button was clicked */
+  open(): Promise<void>;
+  close(): void;
+}
+
+declare global {
+  interface Window {
+    SantanderCalc?: SantanderCalcApi;
+  }
+  interface HTMLElementTagNameMap {
+    "santander-calc": SantanderCalcElement;
+  }
+}
+
+/* ── Schedule engine ─────────────────────────────────────────────────────── */
+
+export interface RevolvingRange {
+  min: number;
+  max: number;
+}
+
+export interface RevolvingSubRange {
+  min: number;
+  max: number;
+  first_payment: number;
+}
+
+/** A rule as produced by `normalizeRule` from a `revolving_bands_*.json` file */
+export interface RevolvingRule {
+  id: string;
+  range: RevolvingRange;
+  bands: Array<{ months: number | "final"; amount: number }>;
+  sub_ranges: RevolvingSubRange[] | null;
+  monthly_rate: number;
+  payment_step: number;
+  min_payment: number;
+  meta: {
+    apr_nominal?: number;
+    apr_representative?: number;
+    open_fee_monthly?: number;
+    valid_date?: string;
+  };
+}
+
+export interface ScheduleRow {
+  /** 1-based month number */
+  month: number;
+  /** Outstanding balance at the start of the month */
+  opening: number;
+  /** Amount paid that month, in euros */
+  payment: number;
+  /** Part of the payment that reduces the balance */
+  capital: number;
+  /** Borrowing interest charged that month */
+  interest: number;
+  /** Card fee (`open_fee_monthly` × outstanding balance) charged that month */
+  fee: number;
+  /** Outstanding balance after the payment */
+  closing: number;
+}
+
+export interface ScheduleResult {
+  /** Amount financed, in euros */
+  total: number;
+  rows: ScheduleRow[];
+  firstPayment: number;
+  months: number;
+  totalPaid: number;
+  totalInterest: number;
+  totalFees: number;
+  /** Cost of credit: totalInterest + totalFees */
+  totalCost: number;
+}
+
+export interface RulesDiagnostic {
+  /** JSON path of the problem, e.g. "sub_ranges[3].min" */
+  path: string;
+  message: string;
+}
+
+export interface RulesValidation {
+  valid: boolean;
+  format: "new" | "legacy";
+  errors: RulesDiagnostic[];
+  warnings: RulesDiagnostic[];
+}
+
+/** Validate a rules JSON (new sub_ranges/bands format or legacy tabs/RLE) */
+export declare function validateRules(json: unknown): RulesValidation;
+
+/** One printable line per diagnostic */
+export declare function formatDiagnostics(
+  result: Pick<RulesValidation, "errors" | "warnings">
+): string[];
+
+/** How large a balance each first payment covers */
+export type PaymentRule =
+  | { type: "annuity"; months: number }
+  | { type: "percent"; percent: number };
+
+export interface SubRangeParams {
+  monthly_rate: number;
+  payment_step: number;
+  min_payment: number;
+  range: { min?: number; max: number };
+  payment_rule: PaymentRule;
+}
+
+/** Derive `sub_ranges` brackets from rate parameters and a payment rule */
+export declare function generateSubRanges(params: SubRangeParams): RevolvingSubRange[];
+
+/** Fit an annuity payment rule (median implied months) to an existing table */
+export declare function fitPaymentRule(rule: {
+  monthly_rate: number;
+  sub_ranges: RevolvingSubRange[];
+}): PaymentRule | null;
+
+export interface SubRangesDiff {
+  equal: boolean;
+  changed: Array<{
+    first_payment: number;
+    existing: RevolvingSubRange;
+    generated: RevolvingSubRange;
+  }>;
+  added: RevolvingSubRange[];
+  removed: RevolvingSubRange[];
+}
+
+/** Compare two sub_ranges tables bracket by bracket (matched on first_payment) */
+export declare function diffSubRanges(
+  existing: RevolvingSubRange[],
+  generated: RevolvingSubRange[],
+  options?: { tolerance?: number }
+): SubRangesDiff;
+
+/**
+ * Check an existing table on payments: at both bounds of each existing bracket,
+ * the generated first payment must be within `tolerance` euros
+ */
+export declare function comparePayments(
+  existing: RevolvingSubRange[],
+  generated: RevolvingSubRange[],
+  options?: { tolerance?: number }
+): {
+  withinTolerance: boolean;
+  maxDeviation: number;
+  deviations: Array<{ balance: number; existing: number; generated: number }>;
+};
+
+/** One version of a tier in a rules manifest */
+export interface RulesVersion {
+  /** Rules file, relative to the manifest */
+  file?: string;
+  /** Inline rules object instead of a file */
+  rule?: object;
+  /** First day (inclusive, "YYYY-MM-DD") the version applies */
+  effective_from?: string;
+  /** Last day (inclusive, "YYYY-MM-DD") the version applies */
+  effective_until?: string;
+}
+
+export interface RulesManifest {
+  tiers: Array<{ id?: string; versions: RulesVersion[] }>;
+}
+
+export interface ResolvedTier {
+  id?: string;
+  file: string | null;
+  rule: object | null;
+  effective_from: string | null;
+  effective_until: string | null;
+}
+
+/** Pick the version valid on `date` (latest `effective_from` wins) */
+export declare function selectVersion(
+  versions: RulesVersion[],
+  date?: Date | string
+): RulesVersion | null;
+
+/** Resolve each manifest tier to its version valid on `date` */
+export declare function resolveManifest(
+  manifest: RulesManifest,
+  date?: Date | string
+): ResolvedTier[];
+
+/** Normalize a raw `revolving_bands_*.json` object into a rule */
+export declare function normalizeRule(rule: object, idx?: number): RevolvingRule;
+
+/** Normalize rule files into tiers sorted by range */
+export declare function normalizeTiers(rules: object[]): RevolvingRule[];
+
+/** Index of the first tier whose `range.max` covers `total` (else the highest) */
+export declare function tierIndexForTotal(tiers: RevolvingRule[], total: number): number;
+
+/**
+ * Why `total` can't be financed: nothing to finance, under `minAmount`, or above
+ * the highest tier's `range.max` — "" if it can
+ */
+export declare function ineligibility(
+  tiers: RevolvingRule[],
+  total: number,
+  options?: { minAmount?: number }
+): "" | "empty" | "tooLow" | "tooHigh";
+
+/** Compute the repayment schedule of `total` euros under a normalized rule */
+export declare function computeSchedule(
+  total: number,
+  rule: RevolvingRule,
+  options?: ScheduleOptions
+): ScheduleResult;
+
+/** Extra repayments, for `sub_ranges` rules */
+export interface ScheduleOptions {
+  /** Pay at least this much each month (never below the contractual payment) */
+  payment?: number;
+  /** One-off extra payment in `month` (1-based) */
+  lumpSum?: { month: number; amount: number } | null;
+}
+
+/** The schedule with extra repayments next to the standard one, and what they save */
+export declare function compareExtraRepayment(
+  total: number,
+  rule: RevolvingRule,
+  options?: ScheduleOptions
+): {
+  standard: ScheduleResult;
+  accelerated: ScheduleResult;
+  monthsSaved: number;
+  interestSaved: number;
+  feesSaved: number;
+  costSaved: number;
+};
+
+/** Fixed-term instalment offer, e.g. 3x or 24 months (rates are fractions) */
+export interface InstalmentOffer {
+  id?: string;
+  /** Shown in the comparison (default: "Paiement en 3x", "3 instalments"…) */
+  label?: string;
+  months: number;
+  /** APR printed in the legal sentence */
+  apr_representative: number;
+  /** Borrowing rate: monthly rate = apr_nominal / 12 (default: from apr_representative) */
+  apr_nominal?: number | null;
+  /** One-off fee in euros, paid with the first instalment */
+  fee?: number;
+  /** One-off fee as a fraction of the amount */
+  fee_rate?: number;
+  /** Amounts the offer applies to */
+  range?: { min?: number; max?: number | null } | null;
+  /** "YYYY-MM-DD" printed in the legal sentence */
+  valid_date?: string | null;
+}
+
+/** Normalize an instalment offer (defaults filled in) */
+export declare function normalizeOffer(offer: InstalmentOffer): Required<InstalmentOffer>;
+
+/** Schedule of `total` under an instalment offer; null if the offer doesn't cover it */
+export declare function computeInstalmentOffer(
+  total: number,
+  offer: InstalmentOffer
+): (ScheduleResult & { payment: number }) | null;
+
+/** Largest total whose first monthly payment fits `budget`, and the tier it falls in */
+export declare function maxTotalForPayment(
+  tiers: RevolvingRule[],
+  budget: number
+): { total: number; tierIndex: number; firstPayment: number } | null;
+
+/**
+ * Level payment that repays `total` in about `months` months (never below the
+ * contractual payment, so `months` in the result can be shorter). Null for
+ * legacy band rules.
+ */
+export declare function paymentForMonths(
+  total: number,
+  rule: RevolvingRule,
+  months: number
+): (ScheduleResult & { payment: number }) | null;
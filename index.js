@@ -1 +1,24 @@
+import engine from "./revolving-engine.js";
+
 export { SantanderCalcButton } from "./SantanderCalcButton.jsx";
+export { useRevolvingSchedule, RevolvingSchedule, RevolvingTeaser } from "./RevolvingSchedule.jsx";
+export const {
+  normalizeRule,
+  normalizeTiers,
+  tierIndexForTotal,
+  ineligibility,
+  validateRules,
+  formatDiagnostics,
+  generateSubRanges,
+  fitPaymentRule,
+  diffSubRanges,
+  comparePayments,
+  computeSchedule,
+  compareExtraRepayment,
+  maxTotalForPayment,
+  paymentForMonths,
+  normalizeOffer,
+  computeInstalmentOffer,
+  selectVersion,
+  resolveManifest,
+} = engine;
@@ -1,15 +1,37 @@
 (function () {
   var script   = document.currentScript;
-  var BASE_URL = 'https://1367-studio.github.io/santander-calc/';
+
+  // Where index.html is served from. Defaults to the public GitHub Pages build;
+  // data-base-url="/santander-calc/" points at a self-hosted copy.
+  var DEFAULT_BASE_URL = 'https://1367-studio.github.io/santander-calc/';
+  var BASE_URL = new URL(script.dataset.baseUrl || DEFAULT_BASE_URL, location.href).href;
+  if (BASE_URL.slice(-1) !== '/') BASE_URL += '/';
+
+  // Colors are documented without '#' (data-primary="e60000")
+  function hex(color) {
+    return color && color.charAt(0) !== '#' ? '#' + color : color;
+  }
 
   var lang     = script.dataset.lang     || 'fr';
   var total    = script.dataset.total    || '0';
-  var primary  = script.dataset.primary  || '#e60000';
-  var bg       = script.dataset.bg       || '#ffffff';
-  var headerBg = script.dataset.headerBg || primary;
-  var headerFg = script.dataset.headerFg || '#ffffff';
+  var primary  = hex(script.dataset.primary)  || '#e60000';
+  var bg       = hex(script.dataset.bg)       || '#ffffff';
+  var headerBg = hex(script.dataset.headerBg) || primary;
+  var headerFg = hex(script.dataset.headerFg) || '#ffffff';
   var width     = script.dataset.width    || 'auto';
   var autoopen  = script.dataset.autoopen === 'true';
+  var detailed  = script.dataset.detailed === 'true';
+  // "iframe" (default) opens index.html in a full-screen frame;
+  // "inline" mounts santander-revolving.js straight into this page
+  var mode      = script.dataset.mode === 'inline' ? 'inline' : 'iframe';
+
+  // Rule file overrides, resolved against BASE_URL (must be on the same origin as index.html)
+  var rules = {
+    revolvingFiles:    script.dataset.revolvingFiles    || '',
+    revolvingFileA:    script.dataset.revolvingFileA    || '',
+    revolvingFileB:    script.dataset.revolvingFileB    || '',
+    revolvingManifest: script.dataset.revolvingManifest || '',
+  };
 
   var labels = {
     fr: "Voir l'échéancier",
@@ -19,6 +41,22 @@
   };
   var btnText = script.dataset.btnText || labels[lang] || labels.fr;
 
+  // ── Widget protocol ────────────────────────────────────────────────────────
+  // Versioned postMessage protocol with the iframe (see index.html). Every message is
+  //   { channel: 'santander-calc', v: 1, type, payload }
+  var SR_CHANNEL    = 'santander-calc';
+  var SR_VERSION    = 1;
+  var WIDGET_ORIGIN = new URL(BASE_URL).origin;
+
+  // iframe → host message types, re-dispatched as DOM events on the <script> tag
+  var EVENTS = {
+    ready:            'sr-ready',
+    scheduleComputed: 'sr-schedule',
+    amountChanged:    'sr-amount',
+    resize:           'sr-resize',
+    close:            'sr-close',
+  };
+
   // ── Inline button ──────────────────────────────────────────────────────────
   var btn = document.createElement('button');
   btn.type        = 'button';
@@ -46,8 +84,16 @@
   // ── Modal iframe + parent-level backdrop ───────────────────────────────────
   var iframe  = null;
   var backdrop = null;
+  var ready    = false;
 
   function openModal() {
+    if (mode === 'inline') {
+      mountInline().then(
+        function (inst) { inst.open(); },
+        function (e) { console.error('[Revolving] widget load error:', e); }
+      );
+      return;
+    }
     if (iframe) return;
 
     btn.style.visibility = 'hidden';
@@ -71,6 +117,11 @@
     params.set('headerFg',  headerFg);
     params.set('autoopen',  'true');
     params.set('noBackdrop', 'true');
+    params.set('parentOrigin', location.origin);
+    if (detailed) params.set('detailed', 'true');
+    Object.keys(rules).forEach(function (key) {
+      if (rules[key]) params.set(key, rules[key]);
+    });
 
     iframe = document.createElement('iframe');
     iframe.src               = BASE_URL + '?' + params.toString();
@@ -93,18 +144,197 @@
   }
 
   function closeModal() {
+    var inst = inlineInstance();
+    if (inst && inst.isOpen()) inst.close();
     if (!iframe) return;
     window.removeEventListener('message', onMessage);
     document.body.removeChild(iframe);
     if (backdrop) { document.body.removeChild(backdrop); backdrop = null; }
     iframe = null;
+    ready  = false;
     btn.style.visibility = '';
   }
 
+  function postToWidget(type, payload) {
+    if (!iframe || !ready) return;
+    iframe.contentWindow.postMessage(
+      { channel: SR_CHANNEL, v: SR_VERSION, type: type, payload: payload || {} },
+      WIDGET_ORIGIN
+    );
+  }
+
   function onMessage(e) {
-    if (iframe && e.source === iframe.contentWindow && e.data === 'sr:close') {
-      closeModal();
+    if (!iframe || e.source !== iframe.contentWindow || e.origin !== WIDGET_ORIGIN) return;
+    var msg = e.data;
+    if (!msg || msg.channel !== SR_CHANNEL || msg.v !== SR_VERSION || !EVENTS[msg.type]) return;
+
+    if (msg.type === 'ready') {
+      ready = true;
+      // Catch up on anything that changed while the iframe was loading
+      postToWidget('setTotal', { total: Number(total) });
+      postToWidget('setLang',  { lang: lang });
+    }
+
+    script.dispatchEvent(new CustomEvent(EVENTS[msg.type], { bubbles: true, detail: msg.payload || {} }));
+
+    if (msg.type === 'close') closeModal();
+  }
+
+  // ── Inline mode (no iframe) ────────────────────────────────────────────────
+  // santander-revolving.js and its CSS are loaded from BASE_URL, and a calculator
+  // root is mounted next to the <script> tag. The modal is the widget's own.
+  var root      = null;
+  var mounting  = null;
+
+  function loadWidget() {
+    if (window.__SR_RevolvingInit) return Promise.resolve();
+
+    if (!document.querySelector('link[data-sr-styles]')) {
+      var link = document.createElement('link');
+      link.rel  = 'stylesheet';
+      link.href = BASE_URL + 'santander-revolving.css';
+      link.setAttribute('data-sr-styles', '');
+      document.head.appendChild(link);
+    }
+
+    return new Promise(function (resolve, reject) {
+      // Another loader on the page may already be fetching it
+      var s = document.querySelector('script[data-sr-script]');
+      if (!s) {
+        s = document.createElement('script');
+        s.src = BASE_URL + 'santander-revolving.js';
+        s.setAttribute('data-sr-script', '');
+        document.head.appendChild(s);
+      }
+      s.addEventListener('load', function () { resolve(); });
+      s.addEventListener('error', function () { reject(new Error('failed to load ' + s.src)); });
+    });
+  }
+
+  function mountInline() {
+    if (mounting) return mounting;
+
+    root = document.createElement('div');
+    root.id = 'santander-revolving-root-loader-' +
+      (document.querySelectorAll('[id^="santander-revolving-root-loader-"]').length + 1);
+
+    // Same settings index.html passes to the widget; rule paths resolve against BASE_URL
+    var d = root.dataset;
+    d.renderInline     = 'true';
+    d.useI18nLegal     = 'true';
+    d.total            = total;
+    d.language         = lang;
+    d.primaryColor     = primary;
+    d.bgColor          = bg;
+    d.headerBg         = headerBg;
+    d.headerFg         = headerFg;
+    d.detailedSchedule = detailed ? 'true' : 'false';
+    if (rules.revolvingFiles) {
+      d.revolvingFiles = rules.revolvingFiles.split(',').map(function (f) {
+        return new URL(f.trim(), BASE_URL).href;
+      }).join(',');
     }
+    if (rules.revolvingManifest) d.revolvingManifest = new URL(rules.revolvingManifest, BASE_URL).href;
+    d.revolvingFileA = new URL(rules.revolvingFileA || 'revolving_bands_0_1250.json', BASE_URL).href;
+    d.revolvingFileB = new URL(rules.revolvingFileB || 'revolving_bands_1251_5000.json', BASE_URL).href;
+
+    // Widget events fire on the <script> tag, as in iframe mode
+    ['sr-open', 'sr-close', 'sr-schedule', 'sr-amount'].forEach(function (name) {
+      root.addEventListener(name, function (e) {
+        e.stopPropagation();
+        script.dispatchEvent(new CustomEvent(name, { bubbles: true, detail: e.detail }));
+      });
+    });
+
+    script.parentNode.insertBefore(root, script.nextSibling);
+
+    mounting = loadWidget().then(function () {
+      // Picked up by the widget's boot, or by its sr-mount listener if it was already loaded
+      root.dispatchEvent(new CustomEvent('sr-mount', { bubbles: true }));
+      script.dispatchEvent(new CustomEvent('sr-ready', { bubbles: true, detail: { version: SR_VERSION } }));
+      return root.__sr_instance;
+    }, function (e) {
+      mounting = null;
+      root.parentNode.removeChild(root);
+      root = null;
+      throw e;
+    });
+    return mounting;
+  }
+
+  function inlineInstance() {
+    return root && root.__sr_instance;
+  }
+
+  // ── Live updates from the host ─────────────────────────────────────────────
+
+  function setTotal(value) {
+    total = String(Number(value) || 0);
+    var inst = inlineInstance();
+    if (inst) inst.update(Number(total));
+    postToWidget('setTotal', { total: Number(total) });
+  }
+
+  function setLang(value) {
+    lang = value || 'fr';
+    if (!script.dataset.btnText) btn.textContent = labels[lang] || labels.fr;
+    var inst = inlineInstance();
+    if (inst) inst.setLanguage(lang);
+    postToWidget('setLang', { lang: lang });
+  }
+
+  function setTheme(theme) {
+    theme = theme || {};
+    if (theme.primary)  { primary = hex(theme.primary); btn.style.backgroundColor = primary; }
+    if (theme.bg)       bg       = hex(theme.bg);
+    if (theme.headerBg) headerBg = hex(theme.headerBg);
+    if (theme.headerFg) headerFg = hex(theme.headerFg);
+    var inst = inlineInstance();
+    if (inst) inst.setTheme({ primary: primary, bg: bg, headerBg: headerBg, headerFg: headerFg });
+    postToWidget('setTheme', { primary: primary, bg: bg, headerBg: headerBg, headerFg: headerFg });
+  }
+
+  // Changing data-total / data-lang / colors on the <script> tag updates the open modal
+  var attrObserver = new MutationObserver(function (records) {
+    records.forEach(function (r) {
+      if (r.attributeName === 'data-total') setTotal(script.dataset.total);
+      if (r.attributeName === 'data-lang')  setLang(script.dataset.lang);
+      if (/^data-(primary|bg|header-bg|header-fg)$/.test(r.attributeName)) {
+        setTheme({
+          primary:  script.dataset.primary,
+          bg:       script.dataset.bg,
+          headerBg: script.dataset.headerBg,
+          headerFg: script.dataset.headerFg,
+        });
+      }
+    });
+  });
+  attrObserver.observe(script, { attributes: true });
+
+  // Same programmatic API as santander-revolving.js, forwarded to the iframe or inline calculator
+  if (!window.SantanderCalc) {
+    window.SantanderCalc = {
+      open: function (opts) {
+        opts = opts || {};
+        if (opts.total != null) setTotal(opts.total);
+        if (opts.lang) setLang(opts.lang);
+        openModal();
+        return Promise.resolve();
+      },
+      update:      function (value) { setTotal(value); return Promise.resolve(); },
+      close:       function () { closeModal(); return Promise.resolve(); },
+      setLanguage: function (value) { setLang(value); return Promise.resolve(); },
+      setTheme:    function (theme) { setTheme(theme); return Promise.resolve(); },
+      destroy:     function () {
+        closeModal();
+        var inst = inlineInstance();
+        if (inst) inst.destroy();
+        if (root) { root.parentNode.removeChild(root); root = null; mounting = null; }
+        attrObserver.disconnect();
+        if (btn.parentNode) btn.parentNode.removeChild(btn);
+        return Promise.resolve();
+      },
+    };
   }
 
   btn.addEventListener('click', openModal);
@@ -0,0 +1,954 @@
+/**
+ * Santander — Revolving Credit Calculator (engine)
+ * ------------------------------------------------
+ * Pure, DOM-free schedule math shared by the widget (`santander-revolving.js`),
+ * the React package and Node (servers, scripts, tests).
+ *
+ * ✅ What it does:
+ * - Normalizes a `revolving_bands_*.json` rule into the internal "tab" shape,
+ *   and picks the tier that covers a total.
+ * - Computes the month-by-month repayment schedule for a total, using the same
+ *   three formats the widget supports (sub_ranges, bands/"final", legacy RLE).
+ * - Solves the inverse questions: the largest total a monthly budget covers, and
+ *   the monthly payment that repays a total within a number of months.
+ * - Simulates voluntary extra repayments (a higher monthly payment, a one-off
+ *   lump sum) and the months and interest they save.
+ * - Computes fixed-term instalment offers (3x, 10x, 24 months…) in the same
+ *   schedule shape, to compare them with the revolving credit.
+ * - Splits every payment into capital, interest and card fee, and totals them.
+ * - Validates rules JSON (new and legacy formats) with path-level diagnostics.
+ * - Generates `sub_ranges` tables from rate parameters and diffs them against a file.
+ * - Resolves a rules manifest to the rule versions valid on a given date.
+ *
+ * 💶 Rates:
+ * - `monthly_rate` in the rules files is the all-in monthly cost, i.e. the monthly
+ *   equivalent of `apr_representative` (TAEG), which already includes the card fee.
+ * - The card fee (`open_fee_monthly` × outstanding balance) is therefore carved out
+ *   of that monthly charge, never added on top, so the schedule matches the APR
+ *   printed in the legal sentence.
+ *
+ * 📦 Loading:
+ * - Browser: `<script src="revolving-engine.js">` exposes `window.SantanderRevolvingEngine`.
+ * - Node / bundlers: `const { computeSchedule } = require("santander-calc/revolving-engine.js")`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SantanderRevolvingEngine = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /* ======================================================================== */
+  /* =                              Utilities                               = */
+  /* ======================================================================== */
+
+  /**
+   * Hard stop for schedules that never amortize (e.g. a balance far above the
+   * tier ceiling, where interest exceeds the largest first_payment).
+   */
+  const MAX_MONTHS = 1200;
+
+  /** Round to cents. */
+  const round2 = (n) => +(+n).toFixed(2);
+
+  /**
+   * Expand legacy RLE schedules (Run-Length Encoding) into a flat array of amounts.
+   * Example: [[3, 25], [1, 12.5]] -> [25, 25, 25, 12.5]
+   */
+  const expandRLE = (rle) => {
+    const out = [];
+    (rle || []).forEach(([count, val]) => {
+      for (let i = 0; i < count; i++) out.push(val);
+    });
+    return out;
+  };
+
+  /**
+   * Expand the NEW "bands" format into a flat array of amounts (one entry per month).
+   * Each step is { months: number | "final", amount: number }.
+   * We ignore "final" here because it is handled later to fill the rest up to the total.
+   */
+  const expandBands = (bands) => {
+    const out = [];
+    for (const step of bands || []) {
+      if (step.months === "final") continue;
+      const months = Number(step.months) || 0;
+      for (let i = 0; i < months; i++) out.push(step.amount);
+    }
+    return out;
+  };
+
+  /**
+   * (Legacy helper) Choose a column from legacy JSON by purchase breakpoints.
+   * Not used when we have "bands", but kept for back-compat.
+   */
+  const pickColumn = (tab /*, total */) => {
+    const cols = [...(tab.columns || [])].sort(
+      (a, b) => a.purchase - b.purchase,
+    );
+    let chosen = cols.find((c) => c.purchase >= 0);
+    if (!chosen) chosen = cols[cols.length - 1];
+    return chosen;
+  };
+
+  /**
+   * Find the sub-range whose [min, max] bracket contains the balance.
+   * Integer bounds are compared against the rounded balance, decimal bounds
+   * against the exact balance. Above the last bracket, the highest one applies.
+   */
+  const findSubRange = (subRanges, balance) => {
+    let sr = subRanges.find((r) => {
+      const minCmp = r.min % 1 !== 0 ? balance >= r.min : Math.round(balance) >= r.min;
+      const maxCmp = r.max % 1 !== 0 ? balance <= r.max : Math.round(balance) <= r.max;
+      return minCmp && maxCmp;
+    });
+    if (!sr) {
+      sr = [...subRanges].reverse().find((r) => {
+        return r.max % 1 !== 0 ? balance > r.max : Math.round(balance) > r.max;
+      });
+    }
+    return sr || null;
+  };
+
+  /* ======================================================================== */
+  /* =                            Normalization                             = */
+  /* ======================================================================== */
+
+  /**
+   * Normalize one NEW-format rule file into the internal tab shape.
+   * Language-dependent fields (label, legal) are left to the caller.
+   */
+  const normalizeRule = (rule, idx = 0) => ({
+    id: rule.id || (idx < 26 ? String.fromCharCode(65 + idx) : `T${idx + 1}`),
+    range: rule.range || {
+      min: rule.min ?? 0,
+      max: rule.max ?? Infinity,
+    },
+    bands: rule.bands || [],
+    sub_ranges: rule.sub_ranges || null,
+    monthly_rate: rule.monthly_rate || 0.0128,
+    payment_step: rule.payment_step || 2.5,
+    min_payment: rule.min_payment || 25,
+    meta: {
+      apr_nominal: rule.apr_nominal,
+      apr_representative: rule.apr_representative,
+      open_fee_monthly: rule.open_fee_monthly,
+      valid_date: rule.valid_date, // optional date in JSON (e.g., "2025-05-27")
+    },
+  });
+
+  /**
+   * Normalize a list of rule files into tiers sorted by range, the order the
+   * widget shows its credit-limit buttons in. Already normalized rules are kept.
+   */
+  const normalizeTiers = (rules) =>
+    (rules || [])
+      .map((rule, idx) => (rule.meta ? rule : normalizeRule(rule, idx)))
+      .sort(
+        (a, b) =>
+          (a.range?.min ?? 0) - (b.range?.min ?? 0) ||
+          (a.range?.max ?? Infinity) - (b.range?.max ?? Infinity),
+      );
+
+  /** Index of the first tier whose `range.max` covers `total` (else the highest). */
+  const tierIndexForTotal = (tiers, total) => {
+    const idx = (tiers || []).findIndex(
+      (t) => !Number.isFinite(t.range?.max) || total <= t.range.max,
+    );
+    return idx < 0 ? (tiers || []).length - 1 : idx;
+  };
+
+  /**
+   * Why `total` can't be financed under `tiers`: "empty" (nothing to finance),
+   * "tooLow" (under `minAmount`), "tooHigh" (above the highest tier's
+   * range.max), or "" if it can. Above the ceiling the last tier's schedule
+   * would never repay the balance, so callers show nothing instead.
+   */
+  const ineligibility = (tiers, total, { minAmount = 0 } = {}) => {
+    if (!(total > 0)) return "empty";
+    if (total < minAmount) return "tooLow";
+    const ceiling = Math.max(
+      ...(tiers || []).map((t) => (Number.isFinite(t.range?.max) ? t.range.max : Infinity)),
+    );
+    if (tiers?.length && total > ceiling) return "tooHigh";
+    return "";
+  };
+
+  /* ======================================================================== */
+  /* =                             Validation                               = */
+  /* ======================================================================== */
+
+  /** Sub-range brackets are cent-contiguous: next.min = prev.max + 0.01. */
+  const SUB_RANGE_GAP = 0.01;
+
+  /**
+   * Tolerance between `apr_representative` and the APR implied by `monthly_rate`
+   * ((1 + monthly_rate)^12 - 1). APRs are published to 0.01 %, so half of that.
+   */
+  const APR_TOLERANCE = 0.00005;
+
+  const isNum = (n) => typeof n === "number" && Number.isFinite(n);
+  const isPosNum = (n) => isNum(n) && n > 0;
+
+  /** Check a `range` object; `max` may be omitted (or null) for an open-ended tier. */
+  const checkRange = (range, path, err) => {
+    if (!range || typeof range !== "object") {
+      err(path, "missing `range` ({ min, max })");
+      return;
+    }
+    if (!isNum(range.min) || range.min < 0) {
+      err(`${path}.min`, "must be a number ≥ 0");
+    }
+    if (range.max != null && !isNum(range.max)) {
+      err(`${path}.max`, "must be a number");
+    }
+    if (isNum(range.min) && isNum(range.max) && range.min > range.max) {
+      err(path, `min (${range.min}) is above max (${range.max})`);
+    }
+  };
+
+  /** Check `sub_ranges`: well-formed, sorted, contiguous, non-overlapping brackets. */
+  const checkSubRanges = (rule, path, err, warn) => {
+    const subs = rule.sub_ranges;
+    if (!subs.length) {
+      err(path, "is empty");
+      return;
+    }
+    subs.forEach((r, i) => {
+      const p = `${path}[${i}]`;
+      if (!isNum(r?.min) || !isNum(r?.max)) {
+        err(p, "needs numeric `min` and `max`");
+        return;
+      }
+      if (r.min > r.max) err(p, `min (${r.min}) is above max (${r.max})`);
+      if (!isPosNum(r.first_payment)) {
+        err(`${p}.first_payment`, "must be a number > 0");
+      } else if (isPosNum(rule.payment_step)) {
+        const steps = r.first_payment / rule.payment_step;
+        if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+          warn(`${p}.first_payment`, `is not a multiple of payment_step (${rule.payment_step})`);
+        }
+      }
+      if (i === 0) {
+        if (r.min > 0) err(p, `first bracket starts at ${r.min}, balances below it have no payment`);
+        return;
+      }
+      const prev = subs[i - 1];
+      if (!isNum(prev?.max)) return;
+      const gap = round2(r.min - prev.max);
+      if (gap <= 0) {
+        err(p, `overlaps the previous bracket (min ${r.min} ≤ previous max ${prev.max})`);
+      } else if (gap < SUB_RANGE_GAP) {
+        err(p, `min ${r.min} is not on a cent boundary after previous max ${prev.max}`);
+      } else if (gap > SUB_RANGE_GAP) {
+        err(p, `gap between ${prev.max} and ${r.min}: balances in between have no payment`);
+      }
+      if (isPosNum(prev.first_payment) && r.first_payment < prev.first_payment) {
+        warn(`${p}.first_payment`, "is lower than the previous bracket's");
+      }
+    });
+    const last = subs[subs.length - 1];
+    if (isNum(rule.range?.max) && isNum(last?.max) && last.max < rule.range.max) {
+      warn(path, `last bracket ends at ${last.max}, below range.max ${rule.range.max}`);
+    }
+  };
+
+  /** Check a "bands" array: positive month counts and amounts, "final" only last. */
+  const checkBands = (bands, path, err) => {
+    if (!bands.length) err(path, "is empty");
+    bands.forEach((b, i) => {
+      const p = `${path}[${i}]`;
+      if (b?.months === "final") {
+        if (i !== bands.length - 1) err(`${p}.months`, '"final" must be the last band');
+      } else if (!Number.isInteger(b?.months) || b.months <= 0) {
+        err(`${p}.months`, 'must be a positive integer or "final"');
+      }
+      if (b?.months !== "final" && !isPosNum(b?.amount)) {
+        err(`${p}.amount`, "must be a number > 0");
+      }
+    });
+  };
+
+  /** Check legacy RLE `columns`: [{ purchase, rle: [[count, amount], ...] }]. */
+  const checkColumns = (columns, path, err) => {
+    if (!columns.length) err(path, "is empty");
+    columns.forEach((c, i) => {
+      const p = `${path}[${i}]`;
+      if (!isNum(c?.purchase)) err(`${p}.purchase`, "must be a number");
+      if (!Array.isArray(c?.rle) || !c.rle.length) {
+        err(`${p}.rle`, "must be a non-empty array of [count, amount]");
+        return;
+      }
+      c.rle.forEach((pair, j) => {
+        if (
+          !Array.isArray(pair) ||
+          !Number.isInteger(pair[0]) ||
+          pair[0] <= 0 ||
+          !isPosNum(pair[1])
+        ) {
+          err(`${p}.rle[${j}]`, "must be [positive integer count, amount > 0]");
+        }
+      });
+    });
+  };
+
+  /** Check one NEW-format rule (a `revolving_bands_*.json` file). */
+  const checkRule = (rule, path, err, warn) => {
+    const at = (key) => (path ? `${path}.${key}` : key);
+    checkRange(rule.range, at("range"), err);
+
+    const hasSubs = Array.isArray(rule.sub_ranges);
+    const hasBands = Array.isArray(rule.bands);
+    if (!hasSubs && !hasBands) {
+      err(path || "(root)", "needs `sub_ranges` or `bands`");
+    }
+
+    if (hasSubs) {
+      if (!isPosNum(rule.monthly_rate) || rule.monthly_rate >= 1) {
+        err(at("monthly_rate"), "must be a monthly fraction between 0 and 1");
+      }
+      if (!isPosNum(rule.payment_step)) err(at("payment_step"), "must be a number > 0");
+      if (!isPosNum(rule.min_payment)) err(at("min_payment"), "must be a number > 0");
+      checkSubRanges(rule, at("sub_ranges"), err, warn);
+    } else if (hasBands) {
+      checkBands(rule.bands, at("bands"), err);
+    }
+
+    if (!isNum(rule.apr_representative)) {
+      err(at("apr_representative"), "missing (needed for the legal text)");
+    } else if (isPosNum(rule.monthly_rate)) {
+      const implied = Math.pow(1 + rule.monthly_rate, 12) - 1;
+      if (Math.abs(implied - rule.apr_representative) > APR_TOLERANCE) {
+        err(
+          at("apr_representative"),
+          `${rule.apr_representative} does not match monthly_rate ${rule.monthly_rate} (implies ${implied.toFixed(4)})`,
+        );
+      }
+    }
+    if (!isNum(rule.apr_nominal)) {
+      err(at("apr_nominal"), "missing (needed for the legal text)");
+    } else if (isNum(rule.apr_representative) && rule.apr_nominal > rule.apr_representative) {
+      err(at("apr_nominal"), "is above apr_representative");
+    }
+    if (!isNum(rule.open_fee_monthly) || rule.open_fee_monthly < 0) {
+      err(at("open_fee_monthly"), "must be a number ≥ 0");
+    } else if (isPosNum(rule.monthly_rate) && rule.open_fee_monthly >= rule.monthly_rate) {
+      err(at("open_fee_monthly"), "is not below monthly_rate (which includes it)");
+    }
+    if (rule.payment_rule != null) {
+      const pr = rule.payment_rule;
+      const ok =
+        pr.type === "percent" ? isPosNum(pr.percent) : isPosNum(pr.months);
+      if (!ok) {
+        err(at("payment_rule"), 'must be { "type": "annuity", "months": N } or { "type": "percent", "percent": p }');
+      }
+    }
+    if (rule.valid_date != null && isNaN(new Date(rule.valid_date))) {
+      warn(at("valid_date"), `"${rule.valid_date}" is not a date`);
+    }
+  };
+
+  /** Check one legacy tab (from `{ tabs: [...] }`). */
+  const checkLegacyTab = (tab, path, err) => {
+    checkRange(tab.range, `${path}.range`, err);
+    if (Array.isArray(tab.bands) && tab.bands.length) {
+      checkBands(tab.bands, `${path}.bands`, err);
+    } else if (Array.isArray(tab.columns)) {
+      checkColumns(tab.columns, `${path}.columns`, err);
+    } else {
+      err(path, "needs `bands` or `columns`");
+    }
+  };
+
+  /**
+   * Validate a rules JSON — either a NEW-format tier file (sub_ranges/bands)
+   * or a LEGACY `{ tabs: [...] }` file (bands or RLE columns).
+   *
+   * Returns { valid, format, errors, warnings } where each diagnostic is
+   * { path: "sub_ranges[3].min", message: "..." }.
+   */
+  const validateRules = (json) => {
+    const errors = [];
+    const warnings = [];
+    const err = (path, message) => errors.push({ path, message });
+    const warn = (path, message) => warnings.push({ path, message });
+
+    let format = "new";
+    if (!json || typeof json !== "object" || Array.isArray(json)) {
+      err("(root)", "must be a JSON object");
+    } else if (Array.isArray(json.tabs)) {
+      format = "legacy";
+      if (!json.tabs.length) err("tabs", "is empty");
+      json.tabs.forEach((tab, i) => checkLegacyTab(tab || {}, `tabs[${i}]`, err));
+    } else {
+      checkRule(json, "", err, warn);
+    }
+
+    return { valid: errors.length === 0, format, errors, warnings };
+  };
+
+  /** One line per diagnostic, e.g. "error  sub_ranges[3]: overlaps …". */
+  const formatDiagnostics = ({ errors = [], warnings = [] }) => [
+    ...errors.map((d) => `error    ${d.path}: ${d.message}`),
+    ...warnings.map((d) => `warning  ${d.path}: ${d.message}`),
+  ];
+
+  /* ======================================================================== */
+  /* =                        sub_ranges generation                         = */
+  /* ======================================================================== */
+
+  /** Round down to cents (a bracket must never promise a balance it can't cover). */
+  const floor2 = (n) => Math.floor(+(n * 100).toFixed(6)) / 100;
+
+  /**
+   * Largest balance a first payment `payment` may cover under the bank's payment rule:
+   *   - { type: "annuity", months: N }: the balance a level payment repays in N months
+   *     at `rate` (present value of the annuity).
+   *   - { type: "percent", percent: p }: the first payment is p × balance.
+   * The shipped tables only approximate an annuity (their brackets imply 19.6 to
+   * 20.7 months and skip some steps): check them with comparePayments().
+   */
+  const bracketCeiling = (payment, rate, paymentRule) => {
+    if (paymentRule.type === "percent") return payment / paymentRule.percent;
+    const n = paymentRule.months;
+    if (!rate) return payment * n;
+    return (payment * (1 - Math.pow(1 + rate, -n))) / rate;
+  };
+
+  /**
+   * Derive the `sub_ranges` brackets of a tier from its rate parameters.
+   *
+   * `params`: { monthly_rate, payment_step, min_payment, range, payment_rule }
+   * `payment_rule` defaults to the rule's own `payment_rule`; see bracketCeiling().
+   * First payments run from `min_payment` by `payment_step`; each bracket ends at
+   * the payment's ceiling (rounded down to the cent) and the next starts one cent
+   * higher. The last bracket is closed at `range.max`.
+   */
+  const generateSubRanges = (params) => {
+    const rate = params.monthly_rate;
+    const step = params.payment_step;
+    const minPay = params.min_payment;
+    const upTo = params.range?.max;
+    const paymentRule = params.payment_rule;
+
+    if (!isPosNum(step) || !isPosNum(minPay)) {
+      throw new Error("payment_step and min_payment must be numbers > 0");
+    }
+    if (!isNum(upTo)) throw new Error("range.max is required");
+    if (
+      !paymentRule ||
+      (paymentRule.type === "percent"
+        ? !isPosNum(paymentRule.percent)
+        : !isPosNum(paymentRule.months))
+    ) {
+      throw new Error(
+        'payment_rule must be { type: "annuity", months } or { type: "percent", percent }',
+      );
+    }
+
+    const out = [];
+    let min = 0;
+    for (let k = 0; min <= upTo && k < MAX_MONTHS; k++) {
+      const payment = round2(minPay + k * step);
+      const max = Math.min(floor2(bracketCeiling(payment, rate, paymentRule)), upTo);
+      if (max < min) continue; // payment too close to the previous one to get a cent of its own
+      out.push({ min, max, first_payment: payment });
+      min = round2(max + SUB_RANGE_GAP);
+    }
+    return out;
+  };
+
+  /**
+   * Fit an annuity payment rule to an existing table: the median number of
+   * months implied by each bracket (the last one is clamped to range.max, so skipped).
+   */
+  const fitPaymentRule = (rule) => {
+    const rate = rule.monthly_rate;
+    const implied = (rule.sub_ranges || [])
+      .slice(0, -1)
+      .map((r) => {
+        if (!rate) return r.max / r.first_payment;
+        const x = 1 - (r.max * rate) / r.first_payment;
+        return x > 0 ? -Math.log(x) / Math.log(1 + rate) : NaN;
+      })
+      .filter(Number.isFinite)
+      .sort((a, b) => a - b);
+    if (!implied.length) return null;
+    const mid = Math.floor(implied.length / 2);
+    const median =
+      implied.length % 2 ? implied[mid] : (implied[mid - 1] + implied[mid]) / 2;
+    return { type: "annuity", months: +median.toFixed(2) };
+  };
+
+  /**
+   * Compare two sub_ranges tables bracket by bracket (matched on first_payment).
+   * Returns { equal, changed: [{ first_payment, existing, generated }], added, removed }
+   * where bounds differing by more than `tolerance` euros count as changed.
+   */
+  const diffSubRanges = (existing, generated, { tolerance = 0.001 } = {}) => {
+    const byPayment = (list) =>
+      new Map((list || []).map((r) => [round2(r.first_payment), r]));
+    const a = byPayment(existing);
+    const b = byPayment(generated);
+    const changed = [];
+    const added = [];
+    const removed = [];
+
+    for (const [payment, g] of b) {
+      const e = a.get(payment);
+      if (!e) {
+        added.push(g);
+      } else if (
+        Math.abs(e.min - g.min) > tolerance ||
+        Math.abs(e.max - g.max) > tolerance
+      ) {
+        changed.push({ first_payment: payment, existing: e, generated: g });
+      }
+    }
+    for (const [payment, e] of a) {
+      if (!b.has(payment)) removed.push(e);
+    }
+
+    return {
+      equal: !changed.length && !added.length && !removed.length,
+      changed,
+      added,
+      removed,
+    };
+  };
+
+  /**
+   * Tolerance check of an existing table against a generated one, on what the
+   * customer pays rather than on exact bounds: at both bounds of every existing
+   * bracket, the generated table's first payment must be within `tolerance`
+   * euros of the existing one. Returns
+   *   { withinTolerance, maxDeviation, deviations: [{ balance, existing, generated }] }
+   * with `deviations` listing the balances beyond the tolerance.
+   */
+  const comparePayments = (existing, generated, { tolerance = 0 } = {}) => {
+    const brackets = [...(generated || [])].sort((a, b) => a.min - b.min);
+    const paymentAt = (balance) =>
+      (findSubRange(brackets, balance) || brackets[brackets.length - 1])?.first_payment ?? 0;
+    const deviations = [];
+    let maxDeviation = 0;
+
+    (existing || []).forEach((r) => {
+      [r.min, r.max].forEach((balance) => {
+        const generatedPayment = paymentAt(balance);
+        const deviation = round2(Math.abs(generatedPayment - r.first_payment));
+        maxDeviation = Math.max(maxDeviation, deviation);
+        if (deviation > tolerance + 1e-9) {
+          deviations.push({ balance, existing: r.first_payment, generated: generatedPayment });
+        }
+      });
+    });
+
+    return { withinTolerance: !deviations.length, maxDeviation, deviations };
+  };
+
+  /* ======================================================================== */
+  /* =                         Manifest (versions)                          = */
+  /* ======================================================================== */
+
+  /**
+   * Day key "YYYY-MM-DD" for a Date (local time) or a date string.
+   * Plain "YYYY-MM-DD" strings are taken as-is so they switch at local midnight.
+   */
+  const toDayKey = (d) => {
+    if (typeof d === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d)) return d;
+    const date = d instanceof Date ? d : new Date(d);
+    if (isNaN(date)) return "";
+    const mm = String(date.getMonth() + 1).padStart(2, "0");
+    const dd = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${mm}-${dd}`;
+  };
+
+  /**
+   * Pick the version valid on `date` among { effective_from, effective_until } entries.
+   * Both bounds are inclusive days and optional; if several versions match,
+   * the one with the latest `effective_from` wins. Returns null if none is valid.
+   */
+  const selectVersion = (versions, date = new Date()) => {
+    const day = toDayKey(date);
+    const valid = (versions || []).filter(
+      (v) =>
+        (!v.effective_from || toDayKey(v.effective_from) <= day) &&
+        (!v.effective_until || toDayKey(v.effective_until) >= day),
+    );
+    valid.sort((a, b) =>
+      toDayKey(b.effective_from || "0000-01-01").localeCompare(
+        toDayKey(a.effective_from || "0000-01-01"),
+      ),
+    );
+    return valid[0] || null;
+  };
+
+  /**
+   * Resolve a rules manifest for a calculation date.
+   *
+   * Manifest shape:
+   *   {
+   *     "tiers": [
+   *       { "id": "A", "versions": [
+   *         { "file": "revolving_bands_0_1250.json", "effective_from": "2025-05-27", "effective_until": "2026-01-31" },
+   *         { "file": "revolving_bands_0_1250_2026.json", "effective_from": "2026-02-01" }
+   *       ] }
+   *     ]
+   *   }
+   * A version may carry the rule inline (`"rule": { ... }`) instead of a `file`.
+   *
+   * Returns one entry per tier that has a valid version:
+   *   [{ id, file, rule, effective_from, effective_until }, ...]
+   */
+  const resolveManifest = (manifest, date = new Date()) =>
+    (manifest?.tiers || [])
+      .map((tier) => {
+        const v = selectVersion(tier.versions, date);
+        if (!v) return null;
+        return {
+          id: tier.id,
+          file: v.file || null,
+          rule: v.rule || null,
+          effective_from: v.effective_from || null,
+          effective_until: v.effective_until || null,
+        };
+      })
+      .filter(Boolean);
+
+  /* ======================================================================== */
+  /* =                              Schedule                                = */
+  /* ======================================================================== */
+
+  /**
+   * Split the all-in monthly rate of a tab into its card-fee and interest parts.
+   * Returns { rate, feeRate, interestRate } with rate = feeRate + interestRate.
+   * Takes a normalized tab or a raw rules file (`open_fee_monthly` at the top).
+   */
+  const splitRates = (tab) => {
+    const rate    = tab.monthly_rate || 0.0128;
+    const fee     = tab.meta?.open_fee_monthly ?? tab.open_fee_monthly;
+    const feeRate = Math.min(Number(fee) || 0, rate);
+    return { rate, feeRate, interestRate: rate - feeRate };
+  };
+
+  /**
+   * Build the schedule rows for a total — three formats supported (priority order):
+   *   1. sub_ranges: first_payment varies by exact balance; interest and card fee
+   *      accrue on the outstanding balance every month
+   *   2. bands: fixed descending sequence; a trailing "final" band tops up to the total
+   *   3. columns/RLE: original legacy format
+   * Bands and RLE carry no rate, so their payments are pure capital.
+   * Extra repayments (sub_ranges only): `payment`, pay at least this much every
+   * month; `lumpSum`, { month, amount } paid on top in that month.
+   */
+  const buildRows = (total, tab, { payment: floorPayment = 0, lumpSum = null } = {}) => {
+    if (Array.isArray(tab.sub_ranges) && tab.sub_ranges.length) {
+      const { rate, feeRate } = splitRates(tab);
+      const minPay = tab.min_payment || 25;
+      const rows   = [];
+      let balance  = total;
+      while (balance > 0.009 && rows.length < MAX_MONTHS) {
+        const sr      = findSubRange(tab.sub_ranges, balance);
+        const lump    = lumpSum && lumpSum.month === rows.length + 1 ? lumpSum.amount : 0;
+        const payment = Math.max(sr ? sr.first_payment : minPay, floorPayment) + lump;
+        const opening = balance;
+        const fee     = round2(opening * feeRate);
+        balance       = +(balance * (1 + rate)).toFixed(10);
+        const p       = +Math.min(payment, balance).toFixed(2);
+        balance       = +(balance - p).toFixed(10);
+        // Capital is what the balance actually dropped by; interest absorbs rounding
+        const capital = round2(opening - balance);
+        rows.push({
+          month: rows.length + 1,
+          opening: round2(opening),
+          payment: p,
+          capital,
+          interest: round2(p - capital - fee),
+          fee,
+          closing: round2(balance),
+        });
+      }
+      return rows;
+    }
+
+    let balance = total;
+    return buildPayments(total, tab).map((payment, idx) => {
+      const opening = balance;
+      balance = Math.max(0, round2(balance - payment));
+      return {
+        month: idx + 1,
+        opening,
+        payment,
+        capital: payment,
+        interest: 0,
+        fee: 0,
+        closing: balance,
+      };
+    });
+  };
+
+  /** Flat payment list for the fixed-sequence formats (bands, legacy RLE). */
+  const buildPayments = (total, tab) => {
+    let schedule = [];
+    let hasFinal = false;
+    let finalStepAmount = 25;
+
+    if (Array.isArray(tab.bands) && tab.bands.length) {
+      schedule = expandBands(tab.bands);
+      hasFinal =
+        String(tab.bands[tab.bands.length - 1]?.months).toLowerCase() ===
+        "final";
+      if (hasFinal) {
+        for (let i = tab.bands.length - 2; i >= 0; i--) {
+          if (typeof tab.bands[i].months === "number") {
+            finalStepAmount = Number(tab.bands[i].amount) || 25;
+            break;
+          }
+        }
+      }
+    } else if (tab.columns?.length) {
+      const col = pickColumn(tab, total);
+      schedule = expandRLE(col?.rle);
+    }
+
+    // Top up with min-payment months until total is reached, then add any remainder
+    const sumPaid = schedule.reduce((a, b) => a + b, 0);
+    if (hasFinal && total > sumPaid) {
+      let rest = round2(total - sumPaid);
+      while (rest - finalStepAmount > 0.009 && schedule.length < MAX_MONTHS) {
+        schedule.push(finalStepAmount);
+        rest = round2(rest - finalStepAmount);
+      }
+      if (rest > 0.009) schedule.push(round2(rest));
+    }
+
+    return schedule;
+  };
+
+  /**
+   * Compute the repayment schedule of `total` (euros) under a normalized rule/tab.
+   *
+   * Options:
+   *   payment   pay at least this much a month (above the contractual payment,
+   *             which still applies when higher); sub_ranges rules only
+   *   lumpSum   { month, amount }: a one-off extra payment in that month (1-based);
+   *             sub_ranges rules only
+   *
+   * Returns:
+   *   {
+   *     total,          // the amount financed
+   *     rows,           // [{ month: 1, opening, payment: 72.5, capital, interest, fee, closing }, ...]
+   *     firstPayment,   // payment of month 1 (0 if nothing to repay)
+   *     months,         // number of monthly payments
+   *     totalPaid,      // sum of all payments
+   *     totalInterest,  // sum of interest
+   *     totalFees,      // sum of card fees
+   *     totalCost,      // cost of credit = interest + fees
+   *   }
+   */
+  const computeSchedule = (total, rule, options = {}) => {
+    const amount = Number(total) > 0 ? Number(total) : 0;
+    const lump = Number(options.lumpSum?.amount) > 0
+      ? { month: Math.max(1, Math.floor(Number(options.lumpSum.month)) || 1), amount: Number(options.lumpSum.amount) }
+      : null;
+    const rows = rule
+      ? buildRows(amount, rule, { payment: Number(options.payment) || 0, lumpSum: lump })
+      : [];
+    return summarizeRows(amount, rows);
+  };
+
+  /** The computeSchedule result for `rows`: first payment, duration and totals. */
+  const summarizeRows = (amount, rows) => {
+    const sum = (key) => round2(rows.reduce((a, r) => a + r[key], 0));
+    const totalInterest = sum("interest");
+    const totalFees = sum("fee");
+
+    return {
+      total: amount,
+      rows,
+      firstPayment: rows[0]?.payment || 0,
+      months: rows.length,
+      totalPaid: sum("payment"),
+      totalInterest,
+      totalFees,
+      totalCost: round2(totalInterest + totalFees),
+    };
+  };
+
+  /**
+   * The schedule of `total` with extra repayments (`payment` and/or `lumpSum`,
+   * as in computeSchedule) next to the standard one, and what they save:
+   *   { standard, accelerated, monthsSaved, interestSaved, feesSaved, costSaved }
+   * Nothing is saved under bands or legacy RLE rules, whose payments are fixed.
+   */
+  const compareExtraRepayment = (total, rule, options = {}) => {
+    const standard = computeSchedule(total, rule);
+    const accelerated = computeSchedule(total, rule, options);
+    return {
+      standard,
+      accelerated,
+      monthsSaved: standard.months - accelerated.months,
+      interestSaved: round2(standard.totalInterest - accelerated.totalInterest),
+      feesSaved: round2(standard.totalFees - accelerated.totalFees),
+      costSaved: round2(standard.totalCost - accelerated.totalCost),
+    };
+  };
+
+  /* ======================================================================== */
+  /* =                          Inverse questions                           = */
+  /* ======================================================================== */
+
+  /**
+   * "I can pay `budget` a month, what can I buy?": the largest total whose
+   * first payment fits the budget, each total under the tier that covers it
+   * (as tierIndexForTotal). Read from the tiers' `sub_ranges`, the last bracket
+   * applying up to `range.max`. Returns { total, tierIndex, firstPayment }, or
+   * null if no sub_ranges tier has a payment that low.
+   */
+  const maxTotalForPayment = (tiers, budget) => {
+    let best = null;
+    (tiers || []).forEach((tier, idx) => {
+      if (!Array.isArray(tier.sub_ranges) || !tier.sub_ranges.length) return;
+      const brackets = [...tier.sub_ranges].sort((a, b) => a.min - b.min);
+      // Payments rise with the balance: take the brackets up to the first one over budget
+      const over = brackets.findIndex((r) => r.first_payment > budget);
+      if (over === 0) return;
+      const rangeMax = tier.range?.max ?? Infinity;
+      let total = over < 0 && Number.isFinite(rangeMax) ? rangeMax : brackets[(over < 0 ? brackets.length : over) - 1].max;
+      total = Math.min(total, rangeMax);
+      if (total < (tier.range?.min ?? 0) || tierIndexForTotal(tiers, total) !== idx) return;
+      const firstPayment = computeSchedule(total, tier).firstPayment;
+      if (firstPayment > budget) return;
+      if (!best || total > best.total) best = { total, tierIndex: idx, firstPayment };
+    });
+    return best;
+  };
+
+  /**
+   * "I want it repaid in `months` months, what do I pay?": the level monthly
+   * payment that repays `total` within that time under a sub_ranges rule. It's
+   * the annuity at the rule's `monthly_rate`, rounded up to the cent, and never
+   * below the contractual first payment (the schedule is then shorter).
+   * Returns { payment, ...computeSchedule(total, rule, { payment }) }, or null
+   * for other rule formats.
+   */
+  const paymentForMonths = (total, rule, months) => {
+    const amount = Number(total) > 0 ? Number(total) : 0;
+    const n = Math.floor(Number(months));
+    if (!amount || !(n >= 1) || !Array.isArray(rule?.sub_ranges) || !rule.sub_ranges.length) {
+      return null;
+    }
+    const { rate } = splitRates(rule);
+    const annuity = rate ? (amount * rate) / (1 - Math.pow(1 + rate, -n)) : amount / n;
+    let payment = Math.max(
+      Math.ceil(+(annuity * 100).toFixed(4)) / 100,
+      computeSchedule(amount, rule).firstPayment,
+    );
+    let result = computeSchedule(amount, rule, { payment });
+    // Cent rounding of the monthly charges can leave a last sliver: add a cent until it fits
+    for (let i = 0; result.months > n && i < 100; i++) {
+      payment = round2(payment + 0.01);
+      result = computeSchedule(amount, rule, { payment });
+    }
+    return { payment, ...result };
+  };
+
+  /* ======================================================================== */
+  /* =                          Instalment offers                           = */
+  /* ======================================================================== */
+
+  /**
+   * Normalize a fixed-term instalment offer:
+   *   { id, label, months, apr_representative, apr_nominal, fee, fee_rate, range, valid_date }
+   * Rates are fractions, like the rules files. `fee` (euros) and `fee_rate`
+   * (fraction of the amount) are one-off fees paid with the first instalment.
+   * `range` ({ min, max }, optional) limits the amounts the offer applies to.
+   * `apr_nominal` stays null when the offer doesn't give one.
+   */
+  const normalizeOffer = (offer) => {
+    const months = Math.floor(Number(offer?.months)) || 0;
+    return {
+      id: offer?.id != null ? String(offer.id) : `${months}x`,
+      label: offer?.label || "",
+      months,
+      apr_representative: Number(offer?.apr_representative) || 0,
+      apr_nominal: offer?.apr_nominal != null ? Number(offer.apr_nominal) || 0 : null,
+      fee: Number(offer?.fee) || 0,
+      fee_rate: Number(offer?.fee_rate) || 0,
+      range: offer?.range || null,
+      valid_date: offer?.valid_date || null,
+    };
+  };
+
+  /**
+   * Schedule of `total` under an instalment offer: equal payments at the
+   * nominal rate (monthly = apr_nominal / 12; without it, the monthly equivalent
+   * of apr_representative), the last one absorbing the rounding, and the
+   * one-off fees added to the first. Same shape as computeSchedule, plus
+   * `payment` (the regular instalment). Null when the offer has no duration or
+   * its `range` doesn't cover `total`.
+   */
+  const computeInstalmentOffer = (total, offer) => {
+    const amount = Number(total) > 0 ? Number(total) : 0;
+    const o = normalizeOffer(offer);
+    const { min = 0, max = Infinity } = o.range || {};
+    if (!amount || o.months < 1 || amount < (min ?? 0) || amount > (max ?? Infinity)) return null;
+
+    const rate = o.apr_nominal != null
+      ? o.apr_nominal / 12
+      : Math.pow(1 + o.apr_representative, 1 / 12) - 1;
+    const n = o.months;
+    const payment = round2(rate ? (amount * rate) / (1 - Math.pow(1 + rate, -n)) : amount / n);
+    const fees = round2(o.fee + o.fee_rate * amount);
+
+    const rows = [];
+    let balance = amount;
+    for (let month = 1; month <= n; month++) {
+      const opening = balance;
+      const interest = round2(opening * rate);
+      const capital = month === n ? round2(opening) : round2(Math.min(payment - interest, opening));
+      balance = round2(opening - capital);
+      const fee = month === 1 ? fees : 0;
+      rows.push({
+        month,
+        opening: round2(opening),
+        payment: round2(capital + interest + fee),
+        capital,
+        interest,
+        fee,
+        closing: balance,
+      });
+    }
+    return { payment, ...summarizeRows(amount, rows) };
+  };
+
+  return {
+    MAX_MONTHS,
+    expandRLE,
+    expandBands,
+    pickColumn,
+    findSubRange,
+    splitRates,
+    normalizeRule,
+    normalizeTiers,
+    tierIndexForTotal,
+    ineligibility,
+    validateRules,
+    formatDiagnostics,
+    generateSubRanges,
+    fitPaymentRule,
+    diffSubRanges,
+    comparePayments,
+    toDayKey,
+    selectVersion,
+    resolveManifest,
+    computeSchedule,
+    compareExtraRepayment,
+    maxTotalForPayment,
+    paymentForMonths,
+    normalizeOffer,
+    computeInstalmentOffer,
+  };
+});
@@ -0,0 +1,332 @@
+// Generated from santander-revolving.js by scripts/generate-i18n.js: do not edit.
+// Change the widget's strings, then run `npm run i18n`.
+
+const SR_I18N = {
+  fr: {
+    headerBanner:
+      "Attention, emprunter de l’argent coûte aussi de l’argent.",
+    appliedRange: (label) => `Tranche appliquée : ${label}`,
+    scheduleTitle: "Ouverture de crédit",
+    colMonths: "Mois",
+    colToRepay: "Somme",
+    colOpening: "Solde début",
+    colInterest: "Intérêts",
+    colFee: "Frais de carte",
+    colCapital: "Capital",
+    colBalance: "Solde restant",
+    dateLabel: "Date de ce calcul",
+    teaser: (amt) => `Ou à partir de ${amt}/mois avec paiement échelonné.`,
+    overview: (total) =>
+      `vue d'ensemble de budget pour un enregistrement unique de ${total} €`,
+    seeScheduleBtn: "Voir l’échéancier",
+    emptyCart:
+      "Votre panier est vide. Ajoutez des articles pour voir un échéancier.",
+    tooHigh: "Montant supérieur au plafond configuré.",
+    tooLow: (min) => `Montant inférieur au minimum finançable (${min}).`,
+    legalTpl: {
+      single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
+        `Pour une [[ouverture de crédit à durée indéterminée]] de [[${amount}]] avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
+      upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
+        `Pour une [[ouverture de crédit à durée indéterminée]] jusqu'à [[${max}]] avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
+      between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
+        `Pour une [[ouverture de crédit à durée indéterminée]] entre [[${min}]] et [[${max}]] avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
+      min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
+        `Pour une [[ouverture de crédit à durée indéterminée]] de [[${min}]] et plus avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
+      instalment: ({ amount, months, payment, aprRep, aprNom, fees, totalDue, date }) =>
+        `Pour un [[prêt à tempérament]] de [[${amount}]] remboursable en [[${months} mensualités]] de ${payment} avec un [[Taux Annuel Effectif Global (TAEG)]] fixe de [[${aprRep}%]] (taux débiteur [[fixe]] : ${aprNom}%${fees ? ` et frais de dossier ${fees}` : ""}). Montant total dû : ${totalDue}. Taux valable au ${date}.`,
+    },
+    dateSep: "/",
+    amountLabel: "Montant à financer",
+    purchaseLabel: "Montant de l’achat",
+    inverseModeLabel: "Mode de calcul",
+    inverseAmount: "Montant",
+    inverseBudget: "Mensualité",
+    inverseMonths: "Durée",
+    budgetLabel: "Budget mensuel",
+    monthsLabel: "Durée souhaitée",
+    monthsUnit: "mois",
+    budgetResult: (budget, total) => `Avec ${budget}/mois, vous pouvez financer jusqu’à ${total}.`,
+    budgetTooLow: (min) => `La mensualité minimale est de ${min}.`,
+    monthsResult: (payment, months) => `Remboursé en ${months} mois avec ${payment}/mois.`,
+    monthsUnavailable: "Le calcul par durée n’est pas disponible pour ces conditions de crédit : échéancier standard affiché.",
+    extraTitle: "Rembourser plus vite",
+    extraPaymentLabel: "Mensualité choisie",
+    extraLumpLabel: "Versement ponctuel",
+    extraMonthLabel: "Au mois",
+    colStandard: "Standard",
+    colExtra: "Anticipé",
+    extraSavings: (months, interest) => `Remboursé ${months} mois plus tôt, ${interest} d’intérêts économisés.`,
+    extraNone: "Ces montants ne raccourcissent pas l’échéancier.",
+    compareTitle: "Comparer les offres",
+    colOffer: "Offre",
+    colMonthly: "Mensualité",
+    colDuration: "Durée",
+    colTotalCost: "Coût total",
+    revolvingOffer: "Crédit renouvelable",
+    instalmentOffer: (months) => `Paiement en ${months}x`,
+    cheapest: "Le moins cher",
+    chartLabel: "Évolution du solde et des intérêts",
+    yearLabel: (n) => `Année ${n}`,
+    chartInterest: "Intérêts cumulés",
+    depositLabel: "Acompte",
+    depositUnit: "Unité de l’acompte",
+    financedLabel: "Montant financé",
+    depositCoversAll: "L’acompte couvre tout le montant.",
+    statFirst:  "1ère mensualité",
+    statMonths: "Nombre de mois",
+    statTotal:  "Total remboursé",
+    costInterest: "Intérêts",
+    costFees: "Frais de carte",
+    costTotal: "Coût total du crédit",
+    roundingNote: "Sous réserve d'erreurs d'arrondi.",
+    rulesError: "Les conditions de crédit n’ont pas pu être chargées.",
+    creditLimitLabel: "Limite de crédit",
+    creditLimitChanged: (label) => `Tranche modifiée automatiquement → ${label}`,
+  },
+
+  en: {
+    headerBanner: "Warning: borrowing money also costs money.",
+    appliedRange: (label) => `Applied range: ${label}`,
+    scheduleTitle: "Revolving credit",
+    colMonths: "Months",
+    colToRepay: "Amount",
+    colOpening: "Opening balance",
+    colInterest: "Interest",
+    colFee: "Card fee",
+    colCapital: "Principal",
+    colBalance: "Remaining",
+    dateLabel: "Date of this calculation",
+    teaser: (amt) => `Or from ${amt}/month with instalments.`,
+    overview: (total) =>
+      `budget overview for a single registration of €${total}`,
+    seeScheduleBtn: "See schedule",
+    emptyCart: "Your cart is empty. Add items to see a schedule.",
+    tooHigh: "Amount above the configured ceiling.",
+    tooLow: (min) => `Amount below the financeable minimum (${min}).`,
+    legalTpl: {
+      single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
+        `For an [[open-ended credit line]] of [[${amount}]] with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
+      upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
+        `For an [[open-ended credit line]] up to [[${max}]] with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
+      between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
+        `For an [[open-ended credit line]] between [[${min}]] and [[${max}]] with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
+      min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
+        `For an [[open-ended credit line]] of [[${min}]] or more with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
+      instalment: ({ amount, months, payment, aprRep, aprNom, fees, totalDue, date }) =>
+        `For an [[instalment loan]] of [[${amount}]] repayable in [[${months} monthly instalments]] of ${payment} with a fixed [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[fixed]] borrowing rate: ${aprNom}%${fees ? ` and arrangement fee ${fees}` : ""}). Total amount payable: ${totalDue}. Rate valid on ${date}.`,
+    },
+    dateSep: "/",
+    amountLabel: "Amount to finance",
+    purchaseLabel: "Purchase amount",
+    inverseModeLabel: "Calculation mode",
+    inverseAmount: "Amount",
+    inverseBudget: "Monthly budget",
+    inverseMonths: "Duration",
+    budgetLabel: "Monthly budget",
+    monthsLabel: "Target duration",
+    monthsUnit: "months",
+    budgetResult: (budget, total) => `With ${budget}/month you can finance up to ${total}.`,
+    budgetTooLow: (min) => `The minimum monthly payment is ${min}.`,
+    monthsResult: (payment, months) => `Repaid in ${months} months with ${payment}/month.`,
+    monthsUnavailable: "Duration mode is not available for these credit terms: the standard schedule is shown.",
+    extraTitle: "Pay off faster",
+    extraPaymentLabel: "Monthly payment",
+    extraLumpLabel: "One-off payment",
+    extraMonthLabel: "In month",
+    colStandard: "Standard",
+    colExtra: "With extra",
+    extraSavings: (months, interest) => `Repaid ${months} months sooner, saving ${interest} in interest.`,
+    extraNone: "These amounts don't shorten the schedule.",
+    compareTitle: "Compare offers",
+    colOffer: "Offer",
+    colMonthly: "Monthly",
+    colDuration: "Duration",
+    colTotalCost: "Total cost",
+    revolvingOffer: "Revolving credit",
+    instalmentOffer: (months) => `${months} instalments`,
+    cheapest: "Cheapest",
+    chartLabel: "Balance and interest over time",
+    yearLabel: (n) => `Year ${n}`,
+    chartInterest: "Cumulative interest",
+    depositLabel: "Deposit",
+    depositUnit: "Deposit unit",
+    financedLabel: "Amount financed",
+    depositCoversAll: "The deposit covers the whole amount.",
+    statFirst:  "First payment",
+    statMonths: "Total months",
+    statTotal:  "Total repaid",
+    costInterest: "Interest",
+    costFees: "Card fees",
+    costTotal: "Total cost of credit",
+    roundingNote: "Figures are subject to rounding errors.",
+    rulesError: "The credit terms could not be loaded.",
+    creditLimitLabel: "Credit limit",
+    creditLimitChanged: (label) => `Range auto-adjusted → ${label}`,
+  },
+
+  nl: {
+    headerBanner: "Let op, geld lenen kost ook geld.",
+    appliedRange: (label) => `Toegepaste schijf: ${label}`,
+    scheduleTitle: "Kredietopening",
+    colMonths: "Maanden",
+    colToRepay: "Bedrag",
+    colOpening: "Beginsaldo",
+    colInterest: "Interest",
+    colFee: "Kaartkosten",
+    colCapital: "Kapitaal",
+    colBalance: "Resterend saldo",
+    dateLabel: "Datum van deze berekening",
+    teaser: (amt) => `Of vanaf ${amt}/maand met gespreid betalen.`,
+    overview: (total) =>
+      `budgetoverzicht voor een eenmalige registratie van €${total}`,
+    seeScheduleBtn: "Schema bekijken",
+    emptyCart:
+      "Uw winkelwagen is leeg. Voeg items toe om een schema te zien.",
+    tooHigh: "Bedrag boven de ingestelde limiet.",
+    tooLow: (min) => `Bedrag onder het minimaal financierbare bedrag (${min}).`,
+    legalTpl: {
+      single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
+        `Voor een [[kredietopening van onbepaalde duur]] van [[${amount}]] met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
+      upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
+        `Voor een [[kredietopening van onbepaalde duur]] tot en met [[${max}]] met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
+      between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
+        `Voor een [[kredietopening van onbepaalde duur]] tussen [[${min}]] en [[${max}]] met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
+      min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
+        `Voor een [[kredietopening van onbepaalde duur]] van [[${min}]] of meer met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
+      instalment: ({ amount, months, payment, aprRep, aprNom, fees, totalDue, date }) =>
+        `Voor een [[lening op afbetaling]] van [[${amount}]], terug te betalen in [[${months} maandelijkse termijnen]] van ${payment}, met een vast [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[vaste]] debetrente ${aprNom}%${fees ? ` en dossierkosten ${fees}` : ""}). Totaal terug te betalen bedrag: ${totalDue}. Tarief geldig op ${date}.`,
+    },
+    dateSep: "/",
+    amountLabel: "Te financieren bedrag",
+    purchaseLabel: "Aankoopbedrag",
+    inverseModeLabel: "Berekeningswijze",
+    inverseAmount: "Bedrag",
+    inverseBudget: "Maandbedrag",
+    inverseMonths: "Looptijd",
+    budgetLabel: "Maandbudget",
+    monthsLabel: "Gewenste looptijd",
+    monthsUnit: "maanden",
+    budgetResult: (budget, total) => `Met ${budget}/maand kunt u tot ${total} financieren.`,
+    budgetTooLow: (min) => `Het minimale maandbedrag is ${min}.`,
+    monthsResult: (payment, months) => `Afgelost in ${months} maanden met ${payment}/maand.`,
+    monthsUnavailable: "Berekenen op looptijd is niet beschikbaar voor deze kredietvoorwaarden: het standaardschema wordt getoond.",
+    extraTitle: "Sneller aflossen",
+    extraPaymentLabel: "Gekozen maandbedrag",
+    extraLumpLabel: "Eenmalige storting",
+    extraMonthLabel: "In maand",
+    colStandard: "Standaard",
+    colExtra: "Met extra",
+    extraSavings: (months, interest) => `${months} maanden sneller afgelost, ${interest} minder rente.`,
+    extraNone: "Deze bedragen verkorten de aflossing niet.",
+    compareTitle: "Aanbiedingen vergelijken",
+    colOffer: "Aanbod",
+    colMonthly: "Maandbedrag",
+    colDuration: "Looptijd",
+    colTotalCost: "Totale kosten",
+    revolvingOffer: "Kredietopening",
+    instalmentOffer: (months) => `In ${months} termijnen`,
+    cheapest: "Voordeligst",
+    chartLabel: "Verloop van saldo en rente",
+    yearLabel: (n) => `Jaar ${n}`,
+    chartInterest: "Opgebouwde rente",
+    depositLabel: "Aanbetaling",
+    depositUnit: "Eenheid aanbetaling",
+    financedLabel: "Gefinancierd bedrag",
+    depositCoversAll: "De aanbetaling dekt het volledige bedrag.",
+    statFirst:  "1e betaling",
+    statMonths: "Aantal maanden",
+    statTotal:  "Totaal terugbetaald",
+    costInterest: "Interest",
+    costFees: "Kaartkosten",
+    costTotal: "Totale kredietkosten",
+    roundingNote: "Afrondingsverschillen voorbehouden.",
+    rulesError: "De kredietvoorwaarden konden niet worden geladen.",
+    creditLimitLabel: "Kredietlimiet",
+    creditLimitChanged: (label) => `Schijf automatisch aangepast → ${label}`,
+  },
+
+  de: {
+    headerBanner: "Achtung: Geld leihen kostet ebenfalls Geld.",
+    appliedRange: (label) => `Angewendete Spanne: ${label}`,
+    scheduleTitle: "Rahmenkredit",
+    colMonths: "Monate",
+    colToRepay: "Betrag",
+    colOpening: "Anfangssaldo",
+    colInterest: "Zinsen",
+    colFee: "Kartenentgelt",
+    colCapital: "Tilgung",
+    colBalance: "Restsaldo",
+    dateLabel: "Datum dieser Berechnung",
+    teaser: (amt) => `Oder ab ${amt}/Monat mit Ratenzahlung.`,
+    overview: (total) =>
+      `Budgetübersicht für eine einmalige Buchung von €${total}`,
+    seeScheduleBtn: "Plan anzeigen",
+    emptyCart:
+      "Ihr Warenkorb ist leer. Fügen Sie Artikel hinzu, um einen Plan zu sehen.",
+    tooHigh: "Betrag über dem konfigurierten Limit.",
+    tooLow: (min) => `Betrag unter dem finanzierbaren Mindestbetrag (${min}).`,
+    legalTpl: {
+      single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
+        `Für eine [[unbefristete Kreditlinie]] von [[${amount}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
+      upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
+        `Für eine [[unbefristete Kreditlinie]] bis zu [[${max}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
+      between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
+        `Für eine [[unbefristete Kreditlinie]] zwischen [[${min}]] und [[${max}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
+      min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
+        `Für eine [[unbefristete Kreditlinie]] ab [[${min}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
+      instalment: ({ amount, months, payment, aprRep, aprNom, fees, totalDue, date }) =>
+        `Für einen [[Ratenkredit]] von [[${amount}]], rückzahlbar in [[${months} Monatsraten]] von ${payment}, mit einem festen [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[gebundener]] Sollzinssatz: ${aprNom}%${fees ? ` und Bearbeitungsgebühr ${fees}` : ""}). Zu zahlender Gesamtbetrag: ${totalDue}. Zinssatz gültig am ${date}.`,
+    },
+    dateSep: ".",
+    amountLabel: "Finanzierungsbetrag",
+    purchaseLabel: "Kaufbetrag",
+    inverseModeLabel: "Berechnungsart",
+    inverseAmount: "Betrag",
+    inverseBudget: "Monatsrate",
+    inverseMonths: "Laufzeit",
+    budgetLabel: "Monatsbudget",
+    monthsLabel: "Gewünschte Laufzeit",
+    monthsUnit: "Monate",
+    budgetResult: (budget, total) => `Mit ${budget}/Monat können Sie bis zu ${total} finanzieren.`,
+    budgetTooLow: (min) => `Die Mindestrate beträgt ${min}.`,
+    monthsResult: (payment, months) => `In ${months} Monaten getilgt mit ${payment}/Monat.`,
+    monthsUnavailable: "Die Berechnung nach Laufzeit ist für diese Kreditbedingungen nicht verfügbar: der Standardplan wird angezeigt.",
+    extraTitle: "Schneller tilgen",
+    extraPaymentLabel: "Gewählte Monatsrate",
+    extraLumpLabel: "Sondertilgung",
+    extraMonthLabel: "Im Monat",
+    colStandard: "Standard",
+    colExtra: "Mit Sondertilgung",
+    extraSavings: (months, interest) => `${months} Monate früher getilgt, ${interest} Zinsen gespart.`,
+    extraNone: "Diese Beträge verkürzen die Laufzeit nicht.",
+    compareTitle: "Angebote vergleichen",
+    colOffer: "Angebot",
+    colMonthly: "Monatsrate",
+    colDuration: "Laufzeit",
+    colTotalCost: "Gesamtkosten",
+    revolvingOffer: "Revolvierender Kredit",
+    instalmentOffer: (months) => `${months} Raten`,
+    cheapest: "Günstigste",
+    chartLabel: "Verlauf von Saldo und Zinsen",
+    yearLabel: (n) => `Jahr ${n}`,
+    chartInterest: "Kumulierte Zinsen",
+    depositLabel: "Anzahlung",
+    depositUnit: "Einheit der Anzahlung",
+    financedLabel: "Finanzierter Betrag",
+    depositCoversAll: "Die Anzahlung deckt den gesamten Betrag.",
+    statFirst:  "1. Monatsrate",
+    statMonths: "Anzahl Monate",
+    statTotal:  "Gesamt zurückgez.",
+    costInterest: "Zinsen",
+    costFees: "Kartenentgelt",
+    costTotal: "Gesamtkosten des Kredits",
+    roundingNote: "Angaben können Rundungsfehler enthalten.",
+    rulesError: "Die Kreditbedingungen konnten nicht geladen werden.",
+    creditLimitLabel: "Kreditlimit",
+    creditLimitChanged: (label) => `Tranche automatisch angepasst → ${label}`,
+  },
+};
+
+const SR_LOCALES = { fr: "fr-BE", nl: "nl-BE", de: "de-DE", en: "en-GB" };
+
+export { SR_I18N, SR_LOCALES };
@@ -0,0 +1,332 @@
+import { createElement } from "react";
+import engine from "./revolving-engine.js";
+import { SR_I18N, SR_LOCALES } from "./revolving-i18n.mjs";
+
+/*
+ * Markup shared by the client components (RevolvingSchedule.jsx,
+ * SantanderCalcButton.jsx) and the server-safe ones (server.mjs): no hooks,
+ * no browser APIs.
+ */
+
+// The widget's own strings (generated from santander-revolving.js), French by default
+const text = (lang) => SR_I18N[lang] || SR_I18N.fr;
+
+// Locale for currency, percents (as the widget's getLocaleFromLang)
+const locale = (lang) => SR_LOCALES[lang] || SR_LOCALES.en;
+
+/** Two-decimal amount in the widget's format: fmt("fr", 1234.5) -> "1 234,50" */
+export const fmt = (lang, n) =>
+  Number(n).toLocaleString(lang || "fr", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+/** Whole euros, for tier ranges: intCurrency("fr", 1250) -> "1 250 €" */
+const intCurrency = (lang, n) =>
+  new Intl.NumberFormat(locale(lang), {
+    style: "currency",
+    currency: "EUR",
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(n);
+
+/** Fraction as a percent string: percent("fr", 0.1649) -> "16,49" */
+const percent = (lang, fraction) =>
+  new Intl.NumberFormat(locale(lang), {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format((Number(fraction) || 0) * 100);
+
+/** "YYYY-MM-DD" as a local calendar day (new Date() would read it as UTC midnight). */
+const toDay = (value) => {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ""));
+  return m ? new Date(+m[1], +m[2] - 1, +m[3]) : new Date(value);
+};
+
+/** dd/mm/yyyy, or `sep` between the parts (German: dd.mm.yyyy) */
+const dayDmy = (d, sep = "/") =>
+  [String(d.getDate()).padStart(2, "0"), String(d.getMonth() + 1).padStart(2, "0"), d.getFullYear()].join(sep);
+
+/** Credit-limit label from a tier's range, as the widget: "≤ 1 250 €", "1 251 € - 5 000 €", "≥ 5 001 €" */
+const rangeLabel = (lang, range) => {
+  const min = Number(range?.min) || 0;
+  const max = Number(range?.max);
+  if (!Number.isFinite(max)) return `≥ ${intCurrency(lang, min)}`;
+  if (min <= 0) return `≤ ${intCurrency(lang, max)}`;
+  return `${intCurrency(lang, min)} - ${intCurrency(lang, max)}`;
+};
+
+/**
+ * The TAEG / APR sentence for `tier` from the `legalTpl` templates, as the
+ * widget's buildLegalFromTab with data-use-i18n-legal. Bold parts are [[...]].
+ */
+const legalSentence = (tier, lang, date) => {
+  const t = text(lang);
+  const range = tier?.range || {};
+  const meta = tier?.meta || {};
+  const aprRep = percent(lang, meta.apr_representative);
+  const aprNom = percent(lang, meta.apr_nominal);
+  const feeMonthly = percent(lang, meta.open_fee_monthly);
+  const day = dayDmy(meta.valid_date ? toDay(meta.valid_date) : date, t.dateSep);
+  const values = { aprRep, aprNom, feeMonthly, date: day };
+
+  if (Number.isFinite(range.min) && Number.isFinite(range.max)) {
+    const max = intCurrency(lang, range.max);
+    if (range.min === 0) return t.legalTpl.upTo({ max, ...values });
+    return t.legalTpl.between({ min: intCurrency(lang, range.min), max, ...values });
+  }
+  if (Number.isFinite(range.max)) return t.legalTpl.single({ amount: intCurrency(lang, range.max), ...values });
+  if (Number.isFinite(range.min)) {
+    return t.legalTpl.min({ min: intCurrency(lang, (Math.round(range.min) || 0) + 1), ...values });
+  }
+  return "";
+};
+
+// The widget's formatLegalText: [[...]] as an inline-styled bold span (`.sr-legal span[style]`)
+const LEGAL_BOLD = { fontWeight: "bold", fontSize: "16px", lineHeight: "19px" };
+const legalParts = (sentence) =>
+  sentence
+    .split(/\[\[(.*?)\]\]/)
+    .map((part, i) => (i % 2 ? createElement("span", { key: i, style: LEGAL_BOLD }, part) : part));
+
+/**
+ * Schedule for `total` on the tier that covers it, plus that tier's id and index.
+ * `tiers` are normalized (see `normalizeTiers`). `tierIndex` is the credit limit
+ * the shopper picked: a higher tier is used if the total needs it. No tiers, or
+ * a total the widget wouldn't finance (`ineligible`: "empty" or "tooHigh", above
+ * the highest tier's range.max), give an empty schedule and no tier.
+ */
+export function scheduleForTotal(tiers, total, { tierIndex = 0 } = {}) {
+  const amount = Number(total) || 0;
+  const ineligible = tiers?.length ? engine.ineligibility(tiers, amount) : "";
+  const idx =
+    tiers?.length && !ineligible
+      ? Math.min(Math.max(engine.tierIndexForTotal(tiers, amount), tierIndex), tiers.length - 1)
+      : null;
+  const tier = idx === null ? null : tiers[idx];
+  return { tier: tier ? tier.id : null, tierIndex: idx, ineligible, ...engine.computeSchedule(amount, tier) };
+}
+
+/** "Or from X €/month with instalments." — null for an empty schedule. */
+export function teaserElement({ firstPayment, lang = "fr", className, style }) {
+  if (!firstPayment) return null;
+  const t = text(lang);
+  return createElement(
+    "p",
+    { className: className ?? "sr-react-teaser", style },
+    t.teaser(`${fmt(lang, firstPayment)}€`),
+  );
+}
+
+/** The `.sr-table` schedule table (widget markup) — null for an empty schedule. */
+export function scheduleTableElement({ rows, lang = "fr", detailed = false, className, style }) {
+  if (!rows?.length) return null;
+
+  const t = text(lang);
+  const cols = detailed
+    ? [
+        [t.colOpening, "opening"],
+        [t.colToRepay, "payment"],
+        [t.colInterest, "interest"],
+        [t.colFee, "fee"],
+        [t.colCapital, "capital"],
+        [t.colBalance, "closing"],
+      ]
+    : [[t.colToRepay, "payment"]];
+
+  return createElement(
+    "div",
+    { className: className ?? "sr-table-wrap", style },
+    createElement(
+      "table",
+      { className: detailed ? "sr-table sr-table--detailed" : "sr-table" },
+      createElement(
+        "thead",
+        null,
+        createElement(
+          "tr",
+          null,
+          createElement("th", null, t.colMonths),
+          cols.map(([label, key]) => createElement("th", { key }, label)),
+        ),
+      ),
+      createElement(
+        "tbody",
+        null,
+        rows.map((row) =>
+          createElement(
+            "tr",
+            { key: row.month },
+            createElement("td", null, row.month),
+            cols.map(([, key]) => createElement("td", { key }, `${fmt(lang, row[key])} €`)),
+          ),
+        ),
+      ),
+    ),
+  );
+}
+
+/**
+ * The widget's modal (`.sr-modal` markup, styled by santander-revolving.css) for
+ * a schedule from `useRevolvingSchedule`: credit-limit buttons, amount field,
+ * summary, cost of credit, schedule table, then the rounding note, date stamp
+ * and legal sentence of the applied tier. `status` is the hook's ("loading",
+ * "ready" or "error"); `amount` is the field's value, reported by `onAmountInput`
+ * as typed; `tierIndex` is the selected credit limit, reported by `onLimitSelect`.
+ * `date` is the calculation date (default: today).
+ */
+export function modalElement({
+  id,
+  schedule,
+  status = "ready",
+  amount,
+  tierIndex = 0,
+  date = new Date(),
+  lang = "fr",
+  detailed = false,
+  theme = {},
+  onAmountInput,
+  onLimitSelect,
+  onClose,
+}) {
+  const t = text(lang);
+  const ready = status === "ready" && schedule?.firstPayment > 0;
+  const tiers = schedule?.tiers || [];
+  const activeIdx = schedule?.tierIndex ?? tierIndex;
+  const legal = ready ? legalSentence(tiers[schedule.tierIndex], lang, date) : "";
+  const eur = (n) => (ready ? `${fmt(lang, n)} €` : "—");
+  const inputId = `${id}-amount`;
+
+  let head = t.scheduleTitle;
+  let sub = "";
+  if (status === "error") sub = t.rulesError;
+  else if (ready) head = t.teaser(`${fmt(lang, schedule.firstPayment)}€`);
+  else if (status === "ready") sub = t.emptyCart;
+
+  const stat = (label, value, cls, primary) =>
+    createElement(
+      "div",
+      { className: primary ? "sr-stat sr-stat--primary" : "sr-stat" },
+      createElement("div", { className: "sr-stat__label" }, label),
+      createElement("div", { className: `sr-stat__value ${cls}` }, value),
+    );
+  const cost = (label, value, cls, total) =>
+    createElement(
+      "div",
+      { className: total ? "sr-cost__item sr-cost__item--total" : "sr-cost__item" },
+      createElement("dt", null, label),
+      createElement("dd", { className: cls }, value),
+    );
+
+  return createElement(
+    "div",
+    {
+      id,
+      className: "sr-modal",
+      style: {
+        display: "flex",
+        "--sr-primary": theme.primary,
+        "--sr-bg": theme.bg,
+        "--sr-header-bg": theme.headerBg,
+        "--sr-header-fg": theme.headerFg,
+      },
+    },
+    createElement("div", { className: "sr-modal__backdrop", onClick: onClose }),
+    createElement(
+      "div",
+      { className: "sr-modal__content sr-content--tall" },
+      createElement(
+        "div",
+        { className: "header-banner" },
+        createElement("span", { className: "banner-text" }, t.headerBanner),
+      ),
+      createElement(
+        "div",
+        { className: "sr-modal__header" },
+        createElement("h3", null, t.scheduleTitle),
+        createElement(
+          "button",
+          { type: "button", className: "sr-modal__close", "aria-label": "Close", onClick: onClose },
+          "×",
+        ),
+      ),
+      createElement(
+        "div",
+        { className: "sr-modal__body" },
+        // A single tier leaves nothing to choose
+        tiers.length > 1 &&
+          createElement(
+            "div",
+            { className: "sr-credit-limit-wrap" },
+            createElement("span", { className: "sr-amount-label" }, t.creditLimitLabel),
+            createElement(
+              "div",
+              { className: "sr-credit-limit-options", role: "group", "aria-label": t.creditLimitLabel },
+              tiers.map((tier, i) =>
+                createElement(
+                  "button",
+                  {
+                    key: tier.id,
+                    type: "button",
+                    className: i === activeIdx ? "sr-limit-btn is-active" : "sr-limit-btn",
+                    "data-limit-idx": i,
+                    onClick: () => onLimitSelect?.(i),
+                  },
+                  rangeLabel(lang, tier.range),
+                ),
+              ),
+            ),
+          ),
+        createElement(
+          "div",
+          { className: "sr-amount-wrap" },
+          createElement("label", { className: "sr-amount-label", htmlFor: inputId }, t.amountLabel),
+          createElement(
+            "div",
+            { className: "sr-amount-field" },
+            createElement("span", { className: "sr-amount-currency" }, "€"),
+            createElement("input", {
+              id: inputId,
+              className: "sr-amount-input",
+              type: "number",
+              min: 1,
+              step: 1,
+              placeholder: "0",
+              value: amount ?? "",
+              onChange: (e) => onAmountInput?.(e.target.value),
+            }),
+          ),
+        ),
+        createElement(
+          "div",
+          { className: "sr-intro-top" },
+          createElement("p", { className: "sr-intro-head" }, head),
+          createElement("p", { className: "sr-intro-sub" }, sub),
+        ),
+        createElement(
+          "div",
+          { className: "sr-stats" },
+          stat(t.statFirst, eur(schedule?.firstPayment), "sr-stat-first", true),
+          stat(t.statMonths, ready ? schedule.months : "—", "sr-stat-months"),
+          stat(t.statTotal, eur(schedule?.totalPaid), "sr-stat-total"),
+        ),
+        createElement(
+          "dl",
+          { className: "sr-cost" },
+          cost(t.costInterest, eur(schedule?.totalInterest), "sr-cost-interest"),
+          cost(t.costFees, eur(schedule?.totalFees), "sr-cost-fees"),
+          cost(t.costTotal, eur(schedule?.totalCost), "sr-cost-total", true),
+        ),
+        ready && scheduleTableElement({ rows: schedule.rows, lang, detailed }),
+        ready && createElement("p", { className: "sr-rounding-note sr-legal--small" }, t.roundingNote),
+        ready && createElement("p", { className: "sr-date-stamp" }, `${t.dateLabel}: ${dayDmy(date)}`),
+        legal &&
+          createElement(
+            "div",
+            { className: "sr-legal sr-legal--small sr-legal-dyn" },
+            createElement("p", null, legalParts(legal)),
+          ),
+      ),
+    ),
+  );
+}
@@ -9,7 +9,8 @@
  * - Injects a "See schedule" button next to the checkout button in the cart drawer.
  * - Opens a modal that shows a month-by-month repayment schedule based on JSON rules.
  * - Supports *two* rule formats:
- *   1) NEW: 3 separate JSON files with "bands" arrays (preferred going forward).
+ *   1) NEW: one JSON file per credit tier with "sub_ranges" or "bands" (preferred going forward).
+ *      Any number of tiers: data-revolving-files="tier1.json, tier2.json, ...".
  *   2) LEGACY: a single JSON with "tabs" and RLE schedules (still supported).
  * - Chooses the correct range/tab for the current cart total, and renders only that tab.
  * - Shows a legal disclaimer paragraph at the bottom.
@@ -33,7 +34,9 @@
  *
  * 🔧 Notes for developers:
  * - We try very hard not to break existing logic. Any merchant with old JSONs should still work.
- * - If all three "new" JSONs load, we normalize them into tabs A/B/C. If not, we fall back to the legacy file.
+ * - If at least one "new" JSON loads, we normalize them into one tab per tier. If not, we fall back to the legacy file.
+ * - Tier buttons, thresholds and labels are derived from each file's `range`.
+ * - The schedule math itself lives in `revolving-engine.js` (DOM-free, also usable from Node).
  * - The applied tab/range is stored to localStorage (useful for debugging or styling).
  */
 
@@ -51,32 +54,381 @@ const SR_FMT = (lang, n) =>
     maximumFractionDigits: 2,
   });
 
-/**
- * Expand legacy RLE schedules (Run-Length Encoding) into a flat array of amounts.
- * Example: [[3, 25], [1, 12.5]] -> [25, 25, 25, 12.5]
+/* ========================================================================== */
+/* =                                  I18N                                  = */
+/* ========================================================================== */
+
+/*
+ * i18n dictionary per language, with:
+ * - static labels for UI
+ * - legalTpl: templates to build a translated legal sentence dynamically
+ * and the locale used for numbers, currency and percents in each language.
+ *
+ * The React and server components read these strings from revolving-i18n.mjs,
+ * generated from the block between the markers: run `npm run i18n` after
+ * editing it (`npm test` fails while the two differ). Keep it plain data and
+ * arrow functions, with no reference to the rest of this file.
  */
-const expandRLE = (rle) => {
-  const out = [];
-  (rle || []).forEach(([count, val]) => {
-    for (let i = 0; i < count; i++) out.push(val);
-  });
-  return out;
+// <sr-i18n>
+const SR_I18N = {
+  fr: {
+    headerBanner:
+      "Attention, emprunter de l’argent coûte aussi de l’argent.",
+    appliedRange: (label) => `Tranche appliquée : ${label}`,
+    scheduleTitle: "Ouverture de crédit",
+    colMonths: "Mois",
+    colToRepay: "Somme",
+    colOpening: "Solde début",
+    colInterest: "Intérêts",
+    colFee: "Frais de carte",
+    colCapital: "Capital",
+    colBalance: "Solde restant",
+    dateLabel: "Date de ce calcul",
+    teaser: (amt) => `Ou à partir de ${amt}/mois avec paiement échelonné.`,
+    overview: (total) =>
+      `vue d'ensemble de budget pour un enregistrement unique de ${total} €`,
+    seeScheduleBtn: "Voir l’échéancier",
+    emptyCart:
+      "Votre panier est vide. Ajoutez des articles pour voir un échéancier.",
+    tooHigh: "Montant supérieur au plafond configuré.",
+    tooLow: (min) => `Montant inférieur au minimum finançable (${min}).`,
+    legalTpl: {
+      single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
+        `Pour une [[ouverture de crédit à durée indéterminée]] de [[${amount}]] avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
+      upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
+        `Pour une [[ouverture de crédit à durée indéterminée]] jusqu'à [[${max}]] avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
+      between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
+        `Pour une [[ouverture de crédit à durée indéterminée]] entre [[${min}]] et [[${max}]] avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
+      min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
+        `Pour une [[ouverture de crédit à durée indéterminée]] de [[${min}]] et plus avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
+      instalment: ({ amount, months, payment, aprRep, aprNom, fees, totalDue, date }) =>
+        `Pour un [[prêt à tempérament]] de [[${amount}]] remboursable en [[${months} mensualités]] de ${payment} avec un [[Taux Annuel Effectif Global (TAEG)]] fixe de [[${aprRep}%]] (taux débiteur [[fixe]] : ${aprNom}%${fees ? ` et frais de dossier ${fees}` : ""}). Montant total dû : ${totalDue}. Taux valable au ${date}.`,
+    },
+    dateSep: "/",
+    amountLabel: "Montant à financer",
+    purchaseLabel: "Montant de l’achat",
+    inverseModeLabel: "Mode de calcul",
+    inverseAmount: "Montant",
+    inverseBudget: "Mensualité",
+    inverseMonths: "Durée",
+    budgetLabel: "Budget mensuel",
+    monthsLabel: "Durée souhaitée",
+    monthsUnit: "mois",
+    budgetResult: (budget, total) => `Avec ${budget}/mois, vous pouvez financer jusqu’à ${total}.`,
+    budgetTooLow: (min) => `La mensualité minimale est de ${min}.`,
+    monthsResult: (payment, months) => `Remboursé en ${months} mois avec ${payment}/mois.`,
+    monthsUnavailable: "Le calcul par durée n’est pas disponible pour ces conditions de crédit : échéancier standard affiché.",
+    extraTitle: "Rembourser plus vite",
+    extraPaymentLabel: "Mensualité choisie",
+    extraLumpLabel: "Versement ponctuel",
+    extraMonthLabel: "Au mois",
+    colStandard: "Standard",
+    colExtra: "Anticipé",
+    extraSavings: (months, interest) => `Remboursé ${months} mois plus tôt, ${interest} d’intérêts économisés.`,
+    extraNone: "Ces montants ne raccourcissent pas l’échéancier.",
+    compareTitle: "Comparer les offres",
+    colOffer: "Offre",
+    colMonthly: "Mensualité",
+    colDuration: "Durée",
+    colTotalCost: "Coût total",
+    revolvingOffer: "Crédit renouvelable",
+    instalmentOffer: (months) => `Paiement en ${months}x`,
+    cheapest: "Le moins cher",
+    chartLabel: "Évolution du solde et des intérêts",
+    yearLabel: (n) => `Année ${n}`,
+    chartInterest: "Intérêts cumulés",
+    depositLabel: "Acompte",
+    depositUnit: "Unité de l’acompte",
+    financedLabel: "Montant financé",
+    depositCoversAll: "L’acompte couvre tout le montant.",
+    statFirst:  "1ère mensualité",
+    statMonths: "Nombre de mois",
+    statTotal:  "Total remboursé",
+    costInterest: "Intérêts",
+    costFees: "Frais de carte",
+    costTotal: "Coût total du crédit",
+    roundingNote: "Sous réserve d'erreurs d'arrondi.",
+    rulesError: "Les conditions de crédit n’ont pas pu être chargées.",
+    creditLimitLabel: "Limite de crédit",
+    creditLimitChanged: (label) => `Tranche modifiée automatiquement → ${label}`,
+  },
+
+  en: {
+    headerBanner: "Warning: borrowing money also costs money.",
+    appliedRange: (label) => `Applied range: ${label}`,
+    scheduleTitle: "Revolving credit",
+    colMonths: "Months",
+    colToRepay: "Amount",
+    colOpening: "Opening balance",
+    colInterest: "Interest",
+    colFee: "Card fee",
+    colCapital: "Principal",
+    colBalance: "Remaining",
+    dateLabel: "Date of this calculation",
+    teaser: (amt) => `Or from ${amt}/month with instalments.`,
+    overview: (total) =>
+      `budget overview for a single registration of €${total}`,
+    seeScheduleBtn: "See schedule",
+    emptyCart: "Your cart is empty. Add items to see a schedule.",
+    tooHigh: "Amount above the configured ceiling.",
+    tooLow: (min) => `Amount below the financeable minimum (${min}).`,
+    legalTpl: {
+      single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
+        `For an [[open-ended credit line]] of [[${amount}]] with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
+      upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
+        `For an [[open-ended credit line]] up to [[${max}]] with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
+      between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
+        `For an [[open-ended credit line]] between [[${min}]] and [[${max}]] with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
+      min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
+        `For an [[open-ended credit line]] of [[${min}]] or more with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
+      instalment: ({ amount, months, payment, aprRep, aprNom, fees, totalDue, date }) =>
+        `For an [[instalment loan]] of [[${amount}]] repayable in [[${months} monthly instalments]] of ${payment} with a fixed [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[fixed]] borrowing rate: ${aprNom}%${fees ? ` and arrangement fee ${fees}` : ""}). Total amount payable: ${totalDue}. Rate valid on ${date}.`,
+    },
+    dateSep: "/",
+    amountLabel: "Amount to finance",
+    purchaseLabel: "Purchase amount",
+    inverseModeLabel: "Calculation mode",
+    inverseAmount: "Amount",
+    inverseBudget: "Monthly budget",
+    inverseMonths: "Duration",
+    budgetLabel: "Monthly budget",
+    monthsLabel: "Target duration",
+    monthsUnit: "months",
+    budgetResult: (budget, total) => `With ${budget}/month you can finance up to ${total}.`,
+    budgetTooLow: (min) => `The minimum monthly payment is ${min}.`,
+    monthsResult: (payment, months) => `Repaid in ${months} months with ${payment}/month.`,
+    monthsUnavailable: "Duration mode is not available for these credit terms: the standard schedule is shown.",
+    extraTitle: "Pay off faster",
+    extraPaymentLabel: "Monthly payment",
+    extraLumpLabel: "One-off payment",
+    extraMonthLabel: "In month",
+    colStandard: "Standard",
+    colExtra: "With extra",
+    extraSavings: (months, interest) => `Repaid ${months} months sooner, saving ${interest} in interest.`,
+    extraNone: "These amounts don't shorten the schedule.",
+    compareTitle: "Compare offers",
+    colOffer: "Offer",
+    colMonthly: "Monthly",
+    colDuration: "Duration",
+    colTotalCost: "Total cost",
+    revolvingOffer: "Revolving credit",
+    instalmentOffer: (months) => `${months} instalments`,
+    cheapest: "Cheapest",
+    chartLabel: "Balance and interest over time",
+    yearLabel: (n) => `Year ${n}`,
+    chartInterest: "Cumulative interest",
+    depositLabel: "Deposit",
+    depositUnit: "Deposit unit",
+    financedLabel: "Amount financed",
+    depositCoversAll: "The deposit covers the whole amount.",
+    statFirst:  "First payment",
+    statMonths: "Total months",
+    statTotal:  "Total repaid",
+    costInterest: "Interest",
+    costFees: "Card fees",
+    costTotal: "Total cost of credit",
+    roundingNote: "Figures are subject to rounding errors.",
+    rulesError: "The credit terms could not be loaded.",
+    creditLimitLabel: "Credit limit",
+    creditLimitChanged: (label) => `Range auto-adjusted → ${label}`,
+  },
+
+  nl: {
+    headerBanner: "Let op, geld lenen kost ook geld.",
+    appliedRange: (label) => `Toegepaste schijf: ${label}`,
+    scheduleTitle: "Kredietopening",
+    colMonths: "Maanden",
+    colToRepay: "Bedrag",
+    colOpening: "Beginsaldo",
+    colInterest: "Interest",
+    colFee: "Kaartkosten",
+    colCapital: "Kapitaal",
+    colBalance: "Resterend saldo",
+    dateLabel: "Datum van deze berekening",
+    teaser: (amt) => `Of vanaf ${amt}/maand met gespreid betalen.`,
+    overview: (total) =>
+      `budgetoverzicht voor een eenmalige registratie van €${total}`,
+    seeScheduleBtn: "Schema bekijken",
+    emptyCart:
+      "Uw winkelwagen is leeg. Voeg items toe om een schema te zien.",
+    tooHigh: "Bedrag boven de ingestelde limiet.",
+    tooLow: (min) => `Bedrag onder het minimaal financierbare bedrag (${min}).`,
+    legalTpl: {
+      single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
+        `Voor een [[kredietopening van onbepaalde duur]] van [[${amount}]] met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
+      upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
+        `Voor een [[kredietopening van onbepaalde duur]] tot en met [[${max}]] met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
+      between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
+        `Voor een [[kredietopening van onbepaalde duur]] tussen [[${min}]] en [[${max}]] met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
+      min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
+        `Voor een [[kredietopening van onbepaalde duur]] van [[${min}]] of meer met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
+      instalment: ({ amount, months, payment, aprRep, aprNom, fees, totalDue, date }) =>
+        `Voor een [[lening op afbetaling]] van [[${amount}]], terug te betalen in [[${months} maandelijkse termijnen]] van ${payment}, met een vast [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[vaste]] debetrente ${aprNom}%${fees ? ` en dossierkosten ${fees}` : ""}). Totaal terug te betalen bedrag: ${totalDue}. Tarief geldig op ${date}.`,
+    },
+    dateSep: "/",
+    amountLabel: "Te financieren bedrag",
+    purchaseLabel: "Aankoopbedrag",
+    inverseModeLabel: "Berekeningswijze",
+    inverseAmount: "Bedrag",
+    inverseBudget: "Maandbedrag",
+    inverseMonths: "Looptijd",
+    budgetLabel: "Maandbudget",
+    monthsLabel: "Gewenste looptijd",
+    monthsUnit: "maanden",
+    budgetResult: (budget, total) => `Met ${budget}/maand kunt u tot ${total} financieren.`,
+    budgetTooLow: (min) => `Het minimale maandbedrag is ${min}.`,
+    monthsResult: (payment, months) => `Afgelost in ${months} maanden met ${payment}/maand.`,
+    monthsUnavailable: "Berekenen op looptijd is niet beschikbaar voor deze kredietvoorwaarden: het standaardschema wordt getoond.",
+    extraTitle: "Sneller aflossen",
+    extraPaymentLabel: "Gekozen maandbedrag",
+    extraLumpLabel: "Eenmalige storting",
+    extraMonthLabel: "In maand",
+    colStandard: "Standaard",
+    colExtra: "Met extra",
+    extraSavings: (months, interest) => `${months} maanden sneller afgelost, ${interest} minder rente.`,
+    extraNone: "Deze bedragen verkorten de aflossing niet.",
+    compareTitle: "Aanbiedingen vergelijken",
+    colOffer: "Aanbod",
+    colMonthly: "Maandbedrag",
+    colDuration: "Looptijd",
+    colTotalCost: "Totale kosten",
+    revolvingOffer: "Kredietopening",
+    instalmentOffer: (months) => `In ${months} termijnen`,
+    cheapest: "Voordeligst",
+    chartLabel: "Verloop van saldo en rente",
+    yearLabel: (n) => `Jaar ${n}`,
+    chartInterest: "Opgebouwde rente",
+    depositLabel: "Aanbetaling",
+    depositUnit: "Eenheid aanbetaling",
+    financedLabel: "Gefinancierd bedrag",
+    depositCoversAll: "De aanbetaling dekt het volledige bedrag.",
+    statFirst:  "1e betaling",
+    statMonths: "Aantal maanden",
+    statTotal:  "Totaal terugbetaald",
+    costInterest: "Interest",
+    costFees: "Kaartkosten",
+    costTotal: "Totale kredietkosten",
+    roundingNote: "Afrondingsverschillen voorbehouden.",
+    rulesError: "De kredietvoorwaarden konden niet worden geladen.",
+    creditLimitLabel: "Kredietlimiet",
+    creditLimitChanged: (label) => `Schijf automatisch aangepast → ${label}`,
+  },
+
+  de: {
+    headerBanner: "Achtung: Geld leihen kostet ebenfalls Geld.",
+    appliedRange: (label) => `Angewendete Spanne: ${label}`,
+    scheduleTitle: "Rahmenkredit",
+    colMonths: "Monate",
+    colToRepay: "Betrag",
+    colOpening: "Anfangssaldo",
+    colInterest: "Zinsen",
+    colFee: "Kartenentgelt",
+    colCapital: "Tilgung",
+    colBalance: "Restsaldo",
+    dateLabel: "Datum dieser Berechnung",
+    teaser: (amt) => `Oder ab ${amt}/Monat mit Ratenzahlung.`,
+    overview: (total) =>
+      `Budgetübersicht für eine einmalige Buchung von €${total}`,
+    seeScheduleBtn: "Plan anzeigen",
+    emptyCart:
+      "Ihr Warenkorb ist leer. Fügen Sie Artikel hinzu, um einen Plan zu sehen.",
+    tooHigh: "Betrag über dem konfigurierten Limit.",
+    tooLow: (min) => `Betrag unter dem finanzierbaren Mindestbetrag (${min}).`,
+    legalTpl: {
+      single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
+        `Für eine [[unbefristete Kreditlinie]] von [[${amount}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
+      upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
+        `Für eine [[unbefristete Kreditlinie]] bis zu [[${max}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
+      between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
+        `Für eine [[unbefristete Kreditlinie]] zwischen [[${min}]] und [[${max}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
+      min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
+        `Für eine [[unbefristete Kreditlinie]] ab [[${min}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
+      instalment: ({ amount, months, payment, aprRep, aprNom, fees, totalDue, date }) =>
+        `Für einen [[Ratenkredit]] von [[${amount}]], rückzahlbar in [[${months} Monatsraten]] von ${payment}, mit einem festen [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[gebundener]] Sollzinssatz: ${aprNom}%${fees ? ` und Bearbeitungsgebühr ${fees}` : ""}). Zu zahlender Gesamtbetrag: ${totalDue}. Zinssatz gültig am ${date}.`,
+    },
+    dateSep: ".",
+    amountLabel: "Finanzierungsbetrag",
+    purchaseLabel: "Kaufbetrag",
+    inverseModeLabel: "Berechnungsart",
+    inverseAmount: "Betrag",
+    inverseBudget: "Monatsrate",
+    inverseMonths: "Laufzeit",
+    budgetLabel: "Monatsbudget",
+    monthsLabel: "Gewünschte Laufzeit",
+    monthsUnit: "Monate",
+    budgetResult: (budget, total) => `Mit ${budget}/Monat können Sie bis zu ${total} finanzieren.`,
+    budgetTooLow: (min) => `Die Mindestrate beträgt ${min}.`,
+    monthsResult: (payment, months) => `In ${months} Monaten getilgt mit ${payment}/Monat.`,
+    monthsUnavailable: "Die Berechnung nach Laufzeit ist für diese Kreditbedingungen nicht verfügbar: der Standardplan wird angezeigt.",
+    extraTitle: "Schneller tilgen",
+    extraPaymentLabel: "Gewählte Monatsrate",
+    extraLumpLabel: "Sondertilgung",
+    extraMonthLabel: "Im Monat",
+    colStandard: "Standard",
+    colExtra: "Mit Sondertilgung",
+    extraSavings: (months, interest) => `${months} Monate früher getilgt, ${interest} Zinsen gespart.`,
+    extraNone: "Diese Beträge verkürzen die Laufzeit nicht.",
+    compareTitle: "Angebote vergleichen",
+    colOffer: "Angebot",
+    colMonthly: "Monatsrate",
+    colDuration: "Laufzeit",
+    colTotalCost: "Gesamtkosten",
+    revolvingOffer: "Revolvierender Kredit",
+    instalmentOffer: (months) => `${months} Raten`,
+    cheapest: "Günstigste",
+    chartLabel: "Verlauf von Saldo und Zinsen",
+    yearLabel: (n) => `Jahr ${n}`,
+    chartInterest: "Kumulierte Zinsen",
+    depositLabel: "Anzahlung",
+    depositUnit: "Einheit der Anzahlung",
+    financedLabel: "Finanzierter Betrag",
+    depositCoversAll: "Die Anzahlung deckt den gesamten Betrag.",
+    statFirst:  "1. Monatsrate",
+    statMonths: "Anzahl Monate",
+    statTotal:  "Gesamt zurückgez.",
+    costInterest: "Zinsen",
+    costFees: "Kartenentgelt",
+    costTotal: "Gesamtkosten des Kredits",
+    roundingNote: "Angaben können Rundungsfehler enthalten.",
+    rulesError: "Die Kreditbedingungen konnten nicht geladen werden.",
+    creditLimitLabel: "Kreditlimit",
+    creditLimitChanged: (label) => `Tranche automatisch angepasst → ${label}`,
+  },
 };
 
+const SR_LOCALES = { fr: "fr-BE", nl: "nl-BE", de: "de-DE", en: "en-GB" };
+// </sr-i18n>
+
 /**
- * Expand the NEW "bands" format into a flat array of amounts (one entry per month).
- * Each step is { months: number | "final", amount: number }.
- * We ignore "final" here because it is handled later to fill the rest up to the total.
+ * The pure schedule math lives in `revolving-engine.js` (shared with Node and
+ * the React package). Pages that don't include it get it loaded from next to
+ * this script the first time the modal opens.
  */
-const expandBands = (bands) => {
-  const out = [];
-  for (const step of bands || []) {
-    if (step.months === "final") continue;
-    const months = Number(step.months) || 0;
-    for (let i = 0; i < months; i++) out.push(step.amount);
-  }
-  return out;
-};
+const SR_SCRIPT_SRC = document.currentScript?.src || "";
+let __sr_enginePromise = null;
+
+/** URL of a file shipped next to this script (engine, CSS, default rules). */
+const __sr_assetUrl = (name) =>
+  SR_SCRIPT_SRC ? new URL(name, SR_SCRIPT_SRC).href : name;
+
+const srEngine = () => window.SantanderRevolvingEngine;
+
+function __sr_loadEngine() {
+  if (srEngine()) return Promise.resolve(srEngine());
+  if (__sr_enginePromise) return __sr_enginePromise;
+  __sr_enginePromise = new Promise((resolve, reject) => {
+    const s = document.createElement("script");
+    s.src = __sr_assetUrl("revolving-engine.js");
+    s.onload = () =>
+      srEngine() ? resolve(srEngine()) : reject(new Error("engine missing"));
+    s.onerror = () => reject(new Error(`failed to load ${s.src}`));
+    document.head.appendChild(s);
+  }).catch((e) => {
+    __sr_enginePromise = null;
+    throw e;
+  });
+  return __sr_enginePromise;
+}
 
 /**
  * Allow bold "chips" inside a legal sentence using [[...]].
@@ -90,15 +442,219 @@ const formatLegalText = (text) => {
   );
 };
 
+/* ========================================================================== */
+/* =                          Cart total providers                          = */
+/* ========================================================================== */
+
+/** Amount in major units (euros) from an amount in `minorUnits` decimals (cents: 2). */
+const __sr_fromMinor = (value, minorUnits = 0) => {
+  const n = Number(value) / 10 ** minorUnits;
+  return Number.isFinite(n) ? n : 0;
+};
+
+/** "a, B ,c" -> ["a", "b", "c"]: comma-separated, case-insensitive attribute lists. */
+const __sr_list = (value) =>
+  (value || "")
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+/** Escape text from merchant config (e.g. offer labels) before it goes into innerHTML. */
+const __sr_escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/** Read "a.b.c" from an object (dotted paths for JSON totals and callbacks). */
+const __sr_pick = (obj, path) =>
+  path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+async function __sr_fetchJson(url) {
+  const r = await fetch(url, { cache: "no-store", credentials: "same-origin" });
+  if (!r.ok) throw new Error(`${url}: HTTP ${r.status}`);
+  return r.json();
+}
+
+/** Shopify product tags by handle (cart.js has none), fetched once per page. */
+const __sr_tagCache = new Map();
+
+/** Add `tags` to Shopify cart lines from /products/<handle>.js. */
+async function __sr_shopifyTags(items) {
+  const routesRoot = window.Shopify?.routes?.root || "/";
+  await Promise.all(
+    items.map(async (item) => {
+      if (!item.handle) return;
+      if (!__sr_tagCache.has(item.handle)) {
+        __sr_tagCache.set(
+          item.handle,
+          __sr_fetchJson(`${routesRoot}products/${item.handle}.js`).then(
+            (product) => product.tags || [],
+            (e) => {
+              console.warn(`[Revolving] tags of ${item.handle} unavailable:`, e);
+              __sr_tagCache.delete(item.handle);
+              return [];
+            },
+          ),
+        );
+      }
+      item.tags = await __sr_tagCache.get(item.handle);
+    }),
+  );
+}
+
+/**
+ * Where the cart total comes from when the root has no data-total, picked by
+ * data-cart-provider (default: "shopify" on Shopify stores). A provider is:
+ *
+ *   {
+ *     getTotal(config) → Promise<number | { total, items }>   in major units (euros)
+ *     mutations?: RegExp    URLs (path + query) whose successful calls change the cart
+ *     events?: string[]     events fired on the page after the cart changed
+ *   }
+ *
+ * Providers that know the cart lines return { total, items }, items being
+ * { amount, productType?, tags?, sku?, giftCard? }, so excluded lines can be
+ * taken out of the financeable total (RevolvingCalc#financeableTotal).
+ *
+ * `config` is read from the root: { url, path, minorUnits, callback, withTags }
+ * (data-cart-url, data-cart-total-path, data-cart-minor-units, data-cart-callback;
+ * withTags when data-exclude-tags needs the lines' tags).
+ * Amounts in minor units are converted explicitly; nothing guesses from the value.
+ * Add more with SantanderCalc.registerCartProvider(name, provider).
+ */
+const SR_CART_PROVIDERS = {
+  shopify: {
+    mutations: /\/cart\/(add|change|update|clear)(\.js)?(\?|$)/,
+    events: ["cart:updated", "cart:update", "cart:refresh", "cart:change", "ajaxProduct:added"],
+    async getTotal({ url, withTags }) {
+      const cart = await __sr_fetchJson(url || "/cart.js");
+      // Shopify money is always in cents
+      const items = (cart.items || []).map((item) => ({
+        amount: __sr_fromMinor(item.final_line_price || 0, 2),
+        productType: item.product_type,
+        sku: item.sku,
+        giftCard: !!item.gift_card,
+        handle: item.handle,
+      }));
+      if (withTags) await __sr_shopifyTags(items);
+      return { total: __sr_fromMinor(cart.total_price || 0, 2), items };
+    },
+  },
+
+  woocommerce: {
+    mutations: /\/wc\/store(\/v1)?\/(cart\/[a-z-]+|batch)(\?|$)|[?&]wc-ajax=(add_to_cart|remove_from_cart)/,
+    events: ["wc-blocks_added_to_cart", "wc-blocks_removed_from_cart"],
+    async getTotal({ url }) {
+      const cart = await __sr_fetchJson(url || "/wp-json/wc/store/cart");
+      // Store API: integer strings in the currency's minor unit, which it declares
+      const totals = cart.totals || {};
+      const items = (cart.items || []).map((item) => {
+        const t = item.totals || {};
+        return {
+          amount: __sr_fromMinor(
+            Number(t.line_total || 0) + Number(t.line_total_tax || 0),
+            t.currency_minor_unit ?? 2,
+          ),
+          sku: item.sku,
+        };
+      });
+      return { total: __sr_fromMinor(totals.total_price || 0, totals.currency_minor_unit ?? 2), items };
+    },
+  },
+
+  json: {
+    async getTotal({ url, path, minorUnits }) {
+      if (!url) throw new Error("data-cart-url is required");
+      const json = await __sr_fetchJson(url);
+      return __sr_fromMinor(__sr_pick(json, path || "total") || 0, minorUnits);
+    },
+  },
+
+  callback: {
+    async getTotal({ callback, minorUnits }) {
+      const fn = callback ? __sr_pick(window, callback) : null;
+      if (typeof fn !== "function") throw new Error(`data-cart-callback "${callback}" is not a function`);
+      return __sr_fromMinor((await fn()) || 0, minorUnits);
+    },
+  },
+};
+
+/** What __sr_watchCart listens to: URL patterns, events, and the providers already added. */
+const __sr_cartWatch = { patterns: [], events: new Set(), providers: new Set(), timer: 0 };
+
+/** A watched cart changed (debounced): every instance refreshes from its provider. */
+function __sr_cartChanged() {
+  clearTimeout(__sr_cartWatch.timer);
+  __sr_cartWatch.timer = setTimeout(() => __sr_instances.forEach((i) => i.refreshFromCart()), 150);
+}
+
+function __sr_isCartMutation(url) {
+  try {
+    const u = new URL(url, location.href);
+    return __sr_cartWatch.patterns.some((re) => re.test(u.pathname + u.search));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Watch a provider's cart: successful fetch / XHR calls matching its
+ * `mutations`, and its `events` (captured on document, so events dispatched
+ * on body without bubbling count too). fetch and XHR are wrapped once.
+ */
+function __sr_watchCart(provider) {
+  if (!provider || __sr_cartWatch.providers.has(provider)) return;
+  __sr_cartWatch.providers.add(provider);
+
+  (provider.events || []).forEach((name) => {
+    if (__sr_cartWatch.events.has(name)) return;
+    __sr_cartWatch.events.add(name);
+    document.addEventListener(name, __sr_cartChanged, true);
+  });
+
+  if (!provider.mutations) return;
+  const first = !__sr_cartWatch.patterns.length;
+  __sr_cartWatch.patterns.push(provider.mutations);
+  if (!first) return;
+
+  const nativeFetch = window.fetch;
+  window.fetch = function (input, init) {
+    const req = nativeFetch.apply(this, arguments);
+    const url = typeof input === "string" ? input : input?.url || String(input);
+    if (__sr_isCartMutation(url)) req.then((r) => r.ok && __sr_cartChanged(), () => {});
+    return req;
+  };
+
+  const nativeOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    if (__sr_isCartMutation(String(url))) {
+      this.addEventListener("load", () => this.status < 400 && __sr_cartChanged());
+    }
+    return nativeOpen.apply(this, arguments);
+  };
+}
+
 /* ========================================================================== */
 /* =                           Main Component                                = */
 /* ========================================================================== */
 
 class RevolvingCalc {
-  constructor(root) {
+  /**
+   * @param {HTMLElement} root  element carrying the data-* config
+   * @param {{ container?: ShadowRoot|HTMLElement, cart?: boolean }} [options]
+   *   container: render the modal (and theme variables) there instead of
+   *   document.body — used by the <santander-calc> element's shadow root.
+   *   cart: false never reads a cart provider, not even Shopify's by default;
+   *   the total comes from data-total only (the <santander-calc> element).
+   */
+  constructor(root, options = {}) {
     /** Root element for this calculator instance */
     this.root = root;
 
+    /** Where this instance's modal lives: document.body, or the custom element's shadow root */
+    this.container = options.container || null;
+
+    /** Per-instance number, suffixed to DOM ids so several calculators can coexist */
+    this.uid = ++__sr_uid;
+
     /** Modal element (created at runtime) */
     this.modal = null;
 
@@ -151,30 +707,103 @@ class RevolvingCalc {
         ? `${routesRoot}assets/revolvingRates.json`
         : "/assets/revolvingRates.json");
 
-    // New 3-file layout; can be overridden via data-attrs
+    // New layout: one JSON per credit tier. Any number of tiers can be listed with
+    // data-revolving-files="a.json, b.json, c.json"; data-revolving-file-a/-b still work.
     const assetsBase = routesRoot ? `${routesRoot}assets/` : "/assets/";
-    this.files = {
-      A:
-        root.dataset.revolvingFileA || `${assetsBase}revolving_bands_0_1250.json`,
-      B:
-        root.dataset.revolvingFileB ||
-        `${assetsBase}revolving_bands_1251_5000.json`,
-    };
+    const fileList = (root.dataset.revolvingFiles || "")
+      .split(",")
+      .map((f) => f.trim())
+      .filter(Boolean);
+    this.files = fileList.length
+      ? fileList
+      : [
+          root.dataset.revolvingFileA ||
+            `${assetsBase}revolving_bands_0_1250.json`,
+          root.dataset.revolvingFileB ||
+            `${assetsBase}revolving_bands_1251_5000.json`,
+        ];
 
     this.renderInline = root.dataset.renderInline === "true";
+    // Detailed amortization table (opening balance, interest, fee, capital, remaining)
+    this.detailedSchedule = root.dataset.detailedSchedule === "true";
+    /** Schedules over a year are grouped by year; these years show their months */
+    this.expandedYears = new Set([1]);
     this.fullWidthButton = root.dataset.fullWidthButton === "true";
     this.cartEmbed = root.dataset.cartEmbed === "true";
+    // "Or from X/month" for the cart total, under the cart button
+    this.cartTeaser = root.dataset.cartTeaser === "true";
+
+    // Eligibility: cart lines the lender won't finance, and the smallest
+    // financeable amount (the ceiling is the highest tier's range.max)
+    this.exclusions = {
+      productTypes: __sr_list(root.dataset.excludeProductTypes),
+      tags: __sr_list(root.dataset.excludeTags),
+      skus: __sr_list(root.dataset.excludeSkus),
+      giftCards: root.dataset.excludeGiftCards !== "false",
+    };
+    this.minAmount = parseFloat(root.dataset.minAmount) || 0;
+
+    // Optional deposit control: a fixed amount or a percentage of the purchase,
+    // paid upfront and taken off the financed amount
+    this.depositEnabled = root.dataset.deposit === "true";
+    this.deposit = {
+      mode: root.dataset.depositMode === "percent" ? "percent" : "amount",
+      value: Math.max(0, parseFloat(root.dataset.depositValue) || 0),
+    };
+
+    // Optional inverse calculator (data-inverse). Modes: "amount" (default, the
+    // schedule of the amount typed), "budget" (the amount a monthly payment
+    // allows) and "months" (the payment that repays it in a number of months)
+    this.inverseEnabled = root.dataset.inverse === "true";
+    this.inverse = { mode: "amount", value: 0 };
+
+    // Optional extra repayment simulation: a higher monthly payment and/or a
+    // one-off lump sum, compared with the standard schedule
+    this.extraEnabled = root.dataset.extraRepayment === "true";
+    this.extra = { payment: 0, lumpAmount: 0, lumpMonth: 1 };
+
+    // Optional fixed-term instalment offers compared with the revolving credit:
+    // a JSON file URL, or the JSON itself (see loadOffers)
+    this.offersSource = (root.dataset.instalmentOffers || "").trim();
+    this.offers = [];
+
+    // Balance-over-time chart above the schedule table (data-chart="false" hides it)
+    this.showChart = root.dataset.chart !== "false";
+
+    // Cart total source when there's no data-total (see SR_CART_PROVIDERS)
+    this.cartProvider =
+      options.cart === false ? "" : root.dataset.cartProvider || (window.Shopify ? "shopify" : "");
+    this.cartConfig = {
+      url: root.dataset.cartUrl || "",
+      path: root.dataset.cartTotalPath || "",
+      minorUnits: parseInt(root.dataset.cartMinorUnits, 10) || 0,
+      callback: root.dataset.cartCallback || "",
+      withTags: this.exclusions.tags.length > 0,
+    };
+    // "Or from X/month" under every price element matching the teaser selector
+    this.teasers = root.dataset.teasers === "true";
+    this.teaserSelector =
+      root.dataset.teaserSelector || "[data-sr-price], [data-sr-price-cents]";
+
+    // Versioned rules: a manifest listing each tier's files with effective dates.
+    // data-calculation-date="YYYY-MM-DD" previews a future (or past) rate change.
+    this.manifestUrl = root.dataset.revolvingManifest || "";
+    this.calcDate = root.dataset.calculationDate || "";
+
+    // Validate every rules file at load time; invalid rules block the modal with diagnostics
+    this.validateRulesOnLoad = root.dataset.validateRules === "true";
 
     /** i18n dictionary (labels + legal templates) */
     this.t = this.i18n(this.lang);
 
-    /** Credit limit tier selected by the user (0=≤1250, 1=1251-5000) */
+    /** Credit limit tier selected by the user (index into `this.tabs`) */
     this.selectedCreditLimitIdx = 0;
-    /** Upper bound (inclusive) for each credit limit tier */
-    this.creditLimitThresholds = [1250, 5000];
+    /** Upper bound (inclusive) for each credit limit tier, from each tab's range */
+    this.creditLimitThresholds = [];
 
     /* ------------------------- Boot sequence ----------------------------- */
-    this.applyThemeVars();
+    __sr_instances.add(this);
+    __sr_watchCart(SR_CART_PROVIDERS[this.cartProvider]);
     
     // If cart embed is enabled, only install cart button
     if (this.cartEmbed) {
@@ -187,178 +816,24 @@ class RevolvingCalc {
     }
     
     // If neither is explicitly set, install cart button (backward compatibility)
-    if (!this.cartEmbed && !this.renderInline) {
+    if (!this.cartEmbed && !this.renderInline && !this.teasers) {
       this.installCartButton();
     }
     
     this.createModal();
+    this.applyThemeVars();
+
+    // Teasers need the rules, so they appear once those are loaded
+    if (this.teasers) this.installTeasers();
   }
 
   /* ====================================================================== */
   /* =                          I18N & Legal                              = */
   /* ====================================================================== */
 
-  /**
-   * i18n dictionary with:
-   * - static labels for UI
-   * - tab labels for range badges
-   * - legalTpl: templates to build a translated legal sentence dynamically
-   */
+  /** i18n dictionary for `l` (see SR_I18N), French by default. */
   i18n(l) {
-    const d = {
-      fr: {
-        headerBanner:
-          "Attention, emprunter de l’argent coûte aussi de l’argent.",
-        appliedRange: (label) => `Tranche appliquée : ${label}`,
-        scheduleTitle: "Ouverture de crédit",
-        colMonths: "Mois",
-        colToRepay: "Somme",
-        dateLabel: "Date de ce calcul",
-        teaser: (amt) => `Ou à partir de ${amt}/mois avec paiement échelonné.`,
-        overview: (total) =>
-          `vue d'ensemble de budget pour un enregistrement unique de ${total} €`,
-        seeScheduleBtn: "Voir l’échéancier",
-        emptyCart:
-          "Votre panier est vide. Ajoutez des articles pour voir un échéancier.",
-        tooHigh: "Montant supérieur au plafond configuré.",
-        tabA: "≤ 1 250 €",
-        tabB: "1 251 € - 5 000 €",
-        legalTpl: {
-          single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
-            `Pour une [[ouverture de crédit à durée indéterminée]] de [[${amount}]] avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
-          upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
-            `Pour une [[ouverture de crédit à durée indéterminée]] jusqu'à [[${max}]] avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
-          between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
-            `Pour une [[ouverture de crédit à durée indéterminée]] entre [[${min}]] et [[${max}]] avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
-          min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
-            `Pour une [[ouverture de crédit à durée indéterminée]] de [[${min}]] et plus avec un [[Taux Annuel Effectif Global (TAEG)]] de [[${aprRep}%]] (taux débiteur [[variable]] : ${aprNom}% et frais de carte ${feeMonthly}% par mois du capital restant dû). Taux valable au ${date}.`,
-        },
-        dateSep: "/",
-        amountLabel: "Montant à financer",
-        statFirst:  "1ère mensualité",
-        statMonths: "Nombre de mois",
-        statTotal:  "Total remboursé",
-        roundingNote: "Sous réserve d'erreurs d'arrondi.",
-        creditLimitLabel: "Limite de crédit",
-        creditLimitA: "≤ 1 250 €",
-        creditLimitB: "1 251 € - 5 000 €",
-        creditLimitChanged: (label) => `Tranche modifiée automatiquement → ${label}`,
-      },
-
-      en: {
-        headerBanner: "Warning: borrowing money also costs money.",
-        appliedRange: (label) => `Applied range: ${label}`,
-        scheduleTitle: "Revolving credit",
-        colMonths: "Months",
-        colToRepay: "Amount",
-        dateLabel: "Date of this calculation",
-        teaser: (amt) => `Or from ${amt}/month with instalments.`,
-        overview: (total) =>
-          `budget overview for a single registration of €${total}`,
-        seeScheduleBtn: "See schedule",
-        emptyCart: "Your cart is empty. Add items to see a schedule.",
-        tooHigh: "Amount above the configured ceiling.",
-        tabA: "≤ €1,250",
-        tabB: "€1,251 - €5,000",
-        legalTpl: {
-          single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
-            `For an [[open-ended credit line]] of [[${amount}]] with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
-          upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
-            `For an [[open-ended credit line]] up to [[${max}]] with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
-          between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
-            `For an [[open-ended credit line]] between [[${min}]] and [[${max}]] with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
-          min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
-            `For an [[open-ended credit line]] of [[${min}]] or more with an [[Annual Percentage Rate (APR)]] of [[${aprRep}%]] ([[variable]] borrowing rate: ${aprNom}% and card fee ${feeMonthly}% per month on the outstanding balance). Rate valid on ${date}.`,
-        },
-        dateSep: "/",
-        amountLabel: "Amount to finance",
-        statFirst:  "First payment",
-        statMonths: "Total months",
-        statTotal:  "Total repaid",
-        roundingNote: "Figures are subject to rounding errors.",
-        creditLimitLabel: "Credit limit",
-        creditLimitA: "≤ €1,250",
-        creditLimitB: "€1,251 - €5,000",
-        creditLimitChanged: (label) => `Range auto-adjusted → ${label}`,
-      },
-
-      nl: {
-        headerBanner: "Let op, geld lenen kost ook geld.",
-        appliedRange: (label) => `Toegepaste schijf: ${label}`,
-        scheduleTitle: "Kredietopening",
-        colMonths: "Maanden",
-        colToRepay: "Bedrag",
-        dateLabel: "Datum van deze berekening",
-        teaser: (amt) => `Of vanaf ${amt}/maand met gespreid betalen.`,
-        overview: (total) =>
-          `budgetoverzicht voor een eenmalige registratie van €${total}`,
-        seeScheduleBtn: "Schema bekijken",
-        emptyCart:
-          "Uw winkelwagen is leeg. Voeg items toe om een schema te zien.",
-        tooHigh: "Bedrag boven de ingestelde limiet.",
-        tabA: "≤ €1.250",
-        tabB: "€1.251 - €5.000",
-        legalTpl: {
-          single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
-            `Voor een [[kredietopening van onbepaalde duur]] van [[${amount}]] met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
-          upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
-            `Voor een [[kredietopening van onbepaalde duur]] tot en met [[${max}]] met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
-          between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
-            `Voor een [[kredietopening van onbepaalde duur]] tussen [[${min}]] en [[${max}]] met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
-          min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
-            `Voor een [[kredietopening van onbepaalde duur]] van [[${min}]] of meer met een [[Jaarlijks Kostenpercentage (JKP)]] van [[${aprRep}%]] ([[variabele]] debetrente ${aprNom}% en kaartkosten ${feeMonthly}% per maand op het openstaand saldo). Tarief geldig op ${date}.`,
-        },
-        dateSep: "/",
-        amountLabel: "Te financieren bedrag",
-        statFirst:  "1e betaling",
-        statMonths: "Aantal maanden",
-        statTotal:  "Totaal terugbetaald",
-        roundingNote: "Afrondingsverschillen voorbehouden.",
-        creditLimitLabel: "Kredietlimiet",
-        creditLimitA: "≤ €1.250",
-        creditLimitB: "€1.251 - €5.000",
-        creditLimitChanged: (label) => `Schijf automatisch aangepast → ${label}`,
-      },
-
-      de: {
-        headerBanner: "Achtung: Geld leihen kostet ebenfalls Geld.",
-        appliedRange: (label) => `Angewendete Spanne: ${label}`,
-        scheduleTitle: "Rahmenkredit",
-        colMonths: "Monate",
-        colToRepay: "Betrag",
-        dateLabel: "Datum dieser Berechnung",
-        teaser: (amt) => `Oder ab ${amt}/Monat mit Ratenzahlung.`,
-        overview: (total) =>
-          `Budgetübersicht für eine einmalige Buchung von €${total}`,
-        seeScheduleBtn: "Plan anzeigen",
-        emptyCart:
-          "Ihr Warenkorb ist leer. Fügen Sie Artikel hinzu, um einen Plan zu sehen.",
-        tooHigh: "Betrag über dem konfigurierten Limit.",
-        tabA: "≤ 1.250 €",
-        tabB: "1.251 € - 5.000 €",
-        legalTpl: {
-          single: ({ amount, aprRep, aprNom, feeMonthly, date }) =>
-            `Für eine [[unbefristete Kreditlinie]] von [[${amount}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
-          upTo: ({ max, aprRep, aprNom, feeMonthly, date }) =>
-            `Für eine [[unbefristete Kreditlinie]] bis zu [[${max}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
-          between: ({ min, max, aprRep, aprNom, feeMonthly, date }) =>
-            `Für eine [[unbefristete Kreditlinie]] zwischen [[${min}]] und [[${max}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
-          min: ({ min, aprRep, aprNom, feeMonthly, date }) =>
-            `Für eine [[unbefristete Kreditlinie]] ab [[${min}]] mit einem [[effektiven Jahreszins (APR)]] von [[${aprRep}%]] ([[variabler]] Sollzinssatz: ${aprNom}% und Kartenentgelt ${feeMonthly}% pro Monat auf den offenen Saldo). Zinssatz gültig am ${date}.`,
-        },
-        dateSep: ".",
-        amountLabel: "Finanzierungsbetrag",
-        statFirst:  "1. Monatsrate",
-        statMonths: "Anzahl Monate",
-        statTotal:  "Gesamt zurückgez.",
-        roundingNote: "Angaben können Rundungsfehler enthalten.",
-        creditLimitLabel: "Kreditlimit",
-        creditLimitA: "≤ 1.250 €",
-        creditLimitB: "1.251 € - 5.000 €",
-        creditLimitChanged: (label) => `Tranche automatisch angepasst → ${label}`,
-      },
-    };
-    return d[l] || d.fr;
+    return SR_I18N[l] || SR_I18N.fr;
   }
 
   /* ====================================================================== */
@@ -367,10 +842,7 @@ class RevolvingCalc {
 
   /** Pick a locale for number/currency formatting based on app language. */
   getLocaleFromLang(lang) {
-    if (lang === "fr") return "fr-BE";
-    if (lang === "nl") return "nl-BE";
-    if (lang === "de") return "de-DE";
-    return "en-GB";
+    return SR_LOCALES[lang] || SR_LOCALES.en;
   }
 
   /** Currency with 0 decimals (for ranges like "≤ €1,250") */
@@ -383,6 +855,18 @@ class RevolvingCalc {
     }).format(amount);
   }
 
+  /**
+   * Label for a credit tier, computed from its range:
+   * "≤ 1 250 €", "1 251 € - 5 000 €" or "≥ 5 001 €".
+   */
+  formatRangeLabel(range) {
+    const min = Number(range?.min) || 0;
+    const max = Number(range?.max);
+    if (!Number.isFinite(max)) return `≥ ${this.formatIntCurrency(min)}`;
+    if (min <= 0) return `≤ ${this.formatIntCurrency(max)}`;
+    return `${this.formatIntCurrency(min)} - ${this.formatIntCurrency(max)}`;
+  }
+
   /** Turn fraction (0.1349) into percent string ("13.49") respecting locale. */
   formatPercent(fraction, digits = 2) {
     const n = (Number(fraction) || 0) * 100;
@@ -392,6 +876,24 @@ class RevolvingCalc {
     }).format(n);
   }
 
+  /**
+   * Parse "YYYY-MM-DD" as a local calendar day (new Date() would read it as
+   * UTC midnight, which is the previous day west of Greenwich).
+   */
+  parseDay(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ""));
+    return m ? new Date(+m[1], +m[2] - 1, +m[3]) : new Date(value);
+  }
+
+  /** The date rules are resolved for: data-calculation-date, or today. */
+  calculationDate() {
+    if (this.calcDate) {
+      const d = this.parseDay(this.calcDate);
+      if (!isNaN(d)) return d;
+    }
+    return new Date();
+  }
+
   /** Simple dd/mm/yyyy (or dd.mm.yyyy for DE) date formatter. */
   formatDateDmy(d = new Date()) {
     const dd = String(d.getDate()).padStart(2, "0");
@@ -408,13 +910,40 @@ class RevolvingCalc {
 
   /** Push color config into CSS variables so themes can style via data-attrs. */
   applyThemeVars() {
-    const r = document.documentElement;
+    // Scoped to this instance: its modal, or the custom element's host
+    const r = this.container ? this.container.host || this.container : this.modal;
+    if (!r) return;
     r.style.setProperty("--sr-primary", this.primary);
     r.style.setProperty("--sr-bg", this.bg);
     r.style.setProperty("--sr-header-bg", this.headerBg);
     r.style.setProperty("--sr-header-fg", this.headerFg);
   }
 
+  /** Change colors at runtime: { primary, bg, headerBg, headerFg }, all optional. */
+  setTheme({ primary, bg, headerBg, headerFg } = {}) {
+    if (primary) this.primary = primary;
+    if (bg) this.bg = bg;
+    if (headerBg) this.headerBg = headerBg;
+    if (headerFg) this.headerFg = headerFg;
+    this.applyThemeVars();
+    if (this._teaserObserver) this.renderTeasers();
+  }
+
+  /* ====================================================================== */
+  /* =                              Events                                = */
+  /* ====================================================================== */
+
+  /**
+   * Dispatch a bubbling DOM event on the root so hosts (iframe bridge, custom
+   * element, integrators) can follow the widget:
+   *   sr-open, sr-close, sr-schedule { total, firstPayment, months, ... },
+   *   sr-amount { total } (amount typed by the customer)
+   */
+  emit(name, detail = {}) {
+    // composed: also crosses the <santander-calc> shadow boundary
+    this.root.dispatchEvent(new CustomEvent(name, { bubbles: true, composed: true, detail }));
+  }
+
   /* ====================================================================== */
   /* =                    Cart Button (drawer injection)                  = */
   /* ====================================================================== */
@@ -476,10 +1005,20 @@ class RevolvingCalc {
 
         btn.addEventListener("click", () => this.open());
         checkout.parentNode.insertBefore(btn, checkout);
+
+        if (this.cartTeaser) {
+          const teaser = document.createElement("p");
+          teaser.id = "santander-revolving-cart-teaser";
+          teaser.className = "sr-cart-teaser";
+          teaser.hidden = true;
+          btn.after(teaser);
+          this.refreshFromCart();
+        }
       }
     };
 
-    new MutationObserver(insert).observe(document.body, {
+    this._cartObserver = new MutationObserver(insert);
+    this._cartObserver.observe(document.body, {
       childList: true,
       subtree: true,
     });
@@ -559,7 +1098,91 @@ class RevolvingCalc {
       inlineBtn.style.opacity = "1";
     });
 
-    inlineBtn.addEventListener("click", () => this.open());
+    this._onInlineClick = () => this.open();
+    inlineBtn.addEventListener("click", this._onInlineClick);
+  }
+
+  /* ====================================================================== */
+  /* =              Teasers (product cards, product page, cart lines)     = */
+  /* ====================================================================== */
+
+  /**
+   * Render "Or from X/month" after every element matching the teaser selector.
+   * Each one carries its price in `data-sr-price` (euros) or
+   * `data-sr-price-cents` (Shopify money); clicking the teaser opens the
+   * schedule for that amount. A MutationObserver follows variant changes and
+   * re-rendered sections. Teasers are installed once, even with multiple instances.
+   */
+  installTeasers() {
+    if (window.__SR_TeasersInstalled) return;
+    window.__SR_TeasersInstalled = true;
+
+    this._onTeaserClick = (e) => {
+      const teaser = e.target.closest?.(".sr-teaser");
+      if (teaser) this.open(parseFloat(teaser.dataset.total));
+    };
+    document.addEventListener("click", this._onTeaserClick);
+
+    this.ensureRules().then(
+      () => {
+        if (!this._onTeaserClick) return; // destroyed while loading
+        this._teaserObserver = new MutationObserver(() => this.renderTeasers());
+        this._teaserObserver.observe(document.body, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ["data-sr-price", "data-sr-price-cents"],
+        });
+        this.renderTeasers();
+      },
+      (e) => console.error("[Revolving] teasers disabled, rules load error:", e),
+    );
+  }
+
+  /** Price (euros) of a teaser target, from data-sr-price or data-sr-price-cents. */
+  teaserPrice(el) {
+    if (el.dataset.srPrice != null) return parseFloat(el.dataset.srPrice);
+    return parseFloat(el.dataset.srPriceCents) / 100;
+  }
+
+  /** First monthly payment for `total` under the tier that covers it (0 if it can't be financed). */
+  firstPaymentFor(total) {
+    const tab = this.ineligibleReason(total) ? null : this.tabs[this.tierIndexForTotal(total)];
+    return tab ? srEngine().computeSchedule(total, tab).firstPayment : 0;
+  }
+
+  /**
+   * Insert, refresh or remove the teaser next to each price element. Only
+   * touches the DOM when something changed, so our own mutations settle.
+   */
+  renderTeasers() {
+    // Teasers whose price element is gone
+    document.querySelectorAll(".sr-teaser").forEach((teaser) => {
+      if (!teaser.previousElementSibling?.matches(this.teaserSelector)) teaser.remove();
+    });
+
+    document.querySelectorAll(this.teaserSelector).forEach((el) => {
+      const price = this.teaserPrice(el);
+      const next = el.nextElementSibling;
+      let teaser = next?.classList.contains("sr-teaser") ? next : null;
+
+      const first = this.firstPaymentFor(price);
+      if (!(first > 0)) {
+        teaser?.remove();
+        return;
+      }
+
+      if (!teaser) {
+        teaser = document.createElement("button");
+        teaser.type = "button";
+        teaser.className = "sr-teaser";
+        el.after(teaser);
+      }
+      const text = this.t.teaser(`${SR_FMT(this.lang, first)}€`);
+      if (teaser.textContent !== text) teaser.textContent = text;
+      teaser.dataset.total = String(price);
+      teaser.style.setProperty("--sr-primary", this.primary);
+    });
   }
 
   /* ====================================================================== */
@@ -569,116 +1192,320 @@ class RevolvingCalc {
   /**
    * Build the modal DOM (hidden by default). Tabs are shown/hidden dynamically;
    * but in practice we render only the tab that matches the cart total.
-   * Modal is shared across all instances (singleton pattern).
+   * Every instance owns its modal, so calculators with different languages,
+   * colors or totals don't overwrite each other.
    */
   createModal() {
-    // Check if modal already exists (shared between instances)
-    let m = document.getElementById("santander-revolving-modal");
-    
-    if (!m) {
-      m = document.createElement("div");
-      m.id = "santander-revolving-modal";
-      m.className = "sr-modal";
-      m.style.display = "none";
-      m.innerHTML = `
-        <div class="sr-modal__backdrop"></div>
-        <div class="sr-modal__content sr-content--tall">
-          <div class="header-banner">
-            <span class="banner-text">${this.t.headerBanner}</span>
+    const m = document.createElement("div");
+    m.id = this.domId("santander-revolving-modal");
+    m.className = "sr-modal";
+    m.style.display = "none";
+    this.modal = m;
+    this.renderModalContent();
+    (this.container || document.body).appendChild(m);
+  }
+
+  /**
+   * DOM id unique to this instance. The first calculator keeps the historical
+   * ids (#santander-revolving-modal, #sr-amount-input); later ones get "-2", "-3"…
+   */
+  domId(base) {
+    return this.uid === 1 ? base : `${base}-${this.uid}`;
+  }
+
+  /**
+   * (Re)build the modal markup in the current language and wire its controls.
+   * Called once on creation, and again by setLanguage().
+   */
+  renderModalContent() {
+    const m = this.modal;
+    m.innerHTML = `
+      <div class="sr-modal__backdrop"></div>
+      <div class="sr-modal__content sr-content--tall">
+        <div class="header-banner">
+          <span class="banner-text">${this.t.headerBanner}</span>
+        </div>
+        <div class="sr-modal__header">
+          <h3>${this.t.scheduleTitle}</h3>
+          <button class="sr-modal__close" aria-label="Close">&times;</button>
+        </div>
+        <div class="sr-modal__body">
+          <div class="sr-tabs">
+            <div class="sr-tablist" role="tablist"></div>
           </div>
-          <div class="sr-modal__header">
-            <h3>${this.t.scheduleTitle}</h3>
-            <button class="sr-modal__close" aria-label="Close">&times;</button>
+          <div class="sr-credit-limit-wrap">
+            <span class="sr-amount-label">${this.t.creditLimitLabel}</span>
+            <div class="sr-credit-limit-options" role="group" aria-label="${this.t.creditLimitLabel}"></div>
+            <div class="sr-limit-feedback" hidden></div>
           </div>
-          <div class="sr-modal__body">
-            <div class="sr-tabs">
-              <div class="sr-tablist" role="tablist"></div>
+          <div class="sr-amount-wrap">
+            <label class="sr-amount-label" for="${this.domId("sr-amount-input")}">${this.depositEnabled ? this.t.purchaseLabel : this.t.amountLabel}</label>
+            <div class="sr-amount-field">
+              <span class="sr-amount-currency">€</span>
+              <input id="${this.domId("sr-amount-input")}" class="sr-amount-input" type="number" min="1" step="1" placeholder="0">
             </div>
-            <div class="sr-credit-limit-wrap">
-              <span class="sr-amount-label">${this.t.creditLimitLabel}</span>
-              <div class="sr-credit-limit-options" role="group" aria-label="${this.t.creditLimitLabel}">
-                <button type="button" class="sr-limit-btn is-active" data-limit-idx="0">${this.t.creditLimitA}</button>
-                <button type="button" class="sr-limit-btn" data-limit-idx="1">${this.t.creditLimitB}</button>
-              </div>
-              <div class="sr-limit-feedback" hidden></div>
+          </div>
+          ${this.inverseEnabled ? `
+          <div class="sr-inverse-wrap">
+            <div class="sr-inverse-modes" role="group" aria-label="${this.t.inverseModeLabel}">
+              <button type="button" class="sr-inverse-btn" data-inverse-mode="amount">${this.t.inverseAmount}</button>
+              <button type="button" class="sr-inverse-btn" data-inverse-mode="budget">${this.t.inverseBudget}</button>
+              <button type="button" class="sr-inverse-btn" data-inverse-mode="months">${this.t.inverseMonths}</button>
             </div>
-            <div class="sr-amount-wrap">
-              <label class="sr-amount-label" for="sr-amount-input">${this.t.amountLabel}</label>
+            <div class="sr-inverse-field" hidden>
+              <label class="sr-amount-label" for="${this.domId("sr-inverse-input")}"></label>
               <div class="sr-amount-field">
-                <span class="sr-amount-currency">€</span>
-                <input id="sr-amount-input" class="sr-amount-input" type="number" min="1" step="1" placeholder="0">
+                <input id="${this.domId("sr-inverse-input")}" class="sr-inverse-input" type="number" min="1" step="1">
+                <span class="sr-amount-currency sr-inverse-unit"></span>
               </div>
             </div>
-            <div class="sr-intro-top">
-              <p class="sr-intro-head"></p>
-              <p class="sr-intro-sub"></p>
-              <p class="sr-applied-range" hidden></p>
-            </div>
-            <div class="sr-stats">
-              <div class="sr-stat sr-stat--primary">
-                <div class="sr-stat__label">${this.t.statFirst}</div>
-                <div class="sr-stat__value sr-stat-first">—</div>
-              </div>
-              <div class="sr-stat">
-                <div class="sr-stat__label">${this.t.statMonths}</div>
-                <div class="sr-stat__value sr-stat-months">—</div>
+            <p class="sr-inverse-result" hidden></p>
+          </div>` : ""}
+          ${this.depositEnabled ? `
+          <div class="sr-deposit-wrap">
+            <label class="sr-amount-label" for="${this.domId("sr-deposit-input")}">${this.t.depositLabel}</label>
+            <div class="sr-deposit-row">
+              <input class="sr-deposit-range" type="range" min="0" max="100" step="1" aria-label="${this.t.depositLabel}">
+              <div class="sr-amount-field sr-deposit-field">
+                <input id="${this.domId("sr-deposit-input")}" class="sr-deposit-input" type="number" min="0" step="1">
+                <select class="sr-deposit-unit" aria-label="${this.t.depositUnit}">
+                  <option value="amount">€</option>
+                  <option value="percent">%</option>
+                </select>
               </div>
             </div>
+          </div>` : ""}
+          <div class="sr-intro-top">
+            <p class="sr-intro-head"></p>
+            <p class="sr-intro-sub"></p>
+            <p class="sr-applied-range" hidden></p>
+            <ul class="sr-diagnostics" hidden></ul>
+          </div>
+          <div class="sr-stats">
+            <div class="sr-stat sr-stat--primary">
+              <div class="sr-stat__label">${this.t.statFirst}</div>
+              <div class="sr-stat__value sr-stat-first">—</div>
+            </div>
+            <div class="sr-stat">
+              <div class="sr-stat__label">${this.t.statMonths}</div>
+              <div class="sr-stat__value sr-stat-months">—</div>
+            </div>
+            <div class="sr-stat">
+              <div class="sr-stat__label">${this.t.statTotal}</div>
+              <div class="sr-stat__value sr-stat-total">—</div>
+            </div>
+          </div>
+          <dl class="sr-cost">
+            ${this.depositEnabled ? `
+            <div class="sr-cost__item"><dt>${this.t.depositLabel}</dt><dd class="sr-cost-deposit">—</dd></div>
+            <div class="sr-cost__item"><dt>${this.t.financedLabel}</dt><dd class="sr-cost-financed">—</dd></div>` : ""}
+            <div class="sr-cost__item"><dt>${this.t.costInterest}</dt><dd class="sr-cost-interest">—</dd></div>
+            <div class="sr-cost__item"><dt>${this.t.costFees}</dt><dd class="sr-cost-fees">—</dd></div>
+            <div class="sr-cost__item sr-cost__item--total"><dt>${this.t.costTotal}</dt><dd class="sr-cost-total">—</dd></div>
+          </dl>
+          ${this.offersSource ? `
+          <div class="sr-compare" hidden>
+            <span class="sr-amount-label">${this.t.compareTitle}</span>
             <div class="sr-table-wrap">
-              <table class="sr-table">
-                <thead><tr><th>${this.t.colMonths}</th><th>${this.t.colToRepay}</th></tr></thead>
-                <tbody class="sr-schedule-body"></tbody>
+              <table class="sr-table sr-compare-table">
+                <thead><tr><th>${this.t.colOffer}</th><th>${this.t.colMonthly}</th><th>${this.t.colDuration}</th><th>${this.t.colTotalCost}</th></tr></thead>
+                <tbody class="sr-compare-body"></tbody>
               </table>
             </div>
-            <p class="sr-rounding-note sr-legal--small"></p>
-            <p class="sr-date-stamp"></p>
-            <div class="sr-legal sr-legal--small sr-legal-dyn"></div>
+            <div class="sr-legal sr-legal--small sr-compare-legal"></div>
+          </div>` : ""}
+          ${this.showChart ? `
+          <div class="sr-chart" hidden>
+            <div class="sr-chart__plot" tabindex="0" role="img" aria-label="${this.t.chartLabel}">
+              <svg class="sr-chart__svg" viewBox="0 0 600 160" preserveAspectRatio="none" aria-hidden="true"></svg>
+              <span class="sr-chart__dot sr-chart__dot--balance" hidden></span>
+              <span class="sr-chart__dot sr-chart__dot--interest" hidden></span>
+              <div class="sr-chart__tip" hidden></div>
+            </div>
+            <div class="sr-chart__axis"><span class="sr-chart__max"></span><span class="sr-chart__months"></span></div>
+            <ul class="sr-chart__legend">
+              <li class="sr-chart__key sr-chart__key--balance">${this.t.colBalance}</li>
+              <li class="sr-chart__key sr-chart__key--interest">${this.t.chartInterest}</li>
+            </ul>
+          </div>` : ""}
+          <div class="sr-table-wrap">
+            <table class="sr-table">
+              <thead class="sr-schedule-head"></thead>
+              <tbody class="sr-schedule-body"></tbody>
+            </table>
           </div>
-        </div>`;
-      document.body.appendChild(m);
-      
-      m.querySelector(".sr-modal__close").addEventListener("click", () => {
-        m.style.display = "none";
-        document.body.classList.remove("sr-open");
+          ${this.extraEnabled ? `
+          <div class="sr-extra-wrap">
+            <span class="sr-amount-label">${this.t.extraTitle}</span>
+            <div class="sr-extra-fields">
+              <div class="sr-extra-field">
+                <label class="sr-extra-label" for="${this.domId("sr-extra-payment")}">${this.t.extraPaymentLabel}</label>
+                <div class="sr-amount-field">
+                  <span class="sr-amount-currency">€</span>
+                  <input id="${this.domId("sr-extra-payment")}" class="sr-extra-input sr-extra-payment" type="number" min="0" step="1" placeholder="0">
+                </div>
+              </div>
+              <div class="sr-extra-field">
+                <label class="sr-extra-label" for="${this.domId("sr-extra-lump")}">${this.t.extraLumpLabel}</label>
+                <div class="sr-amount-field">
+                  <span class="sr-amount-currency">€</span>
+                  <input id="${this.domId("sr-extra-lump")}" class="sr-extra-input sr-extra-lump" type="number" min="0" step="1" placeholder="0">
+                </div>
+              </div>
+              <div class="sr-extra-field sr-extra-field--month">
+                <label class="sr-extra-label" for="${this.domId("sr-extra-month")}">${this.t.extraMonthLabel}</label>
+                <div class="sr-amount-field">
+                  <input id="${this.domId("sr-extra-month")}" class="sr-extra-input sr-extra-month" type="number" min="1" step="1" value="1">
+                </div>
+              </div>
+            </div>
+            <div class="sr-extra-result" hidden>
+              <p class="sr-extra-savings"></p>
+              <div class="sr-table-wrap">
+                <table class="sr-table sr-extra-table">
+                  <thead><tr><th>${this.t.colMonths}</th><th>${this.t.colStandard}</th><th>${this.t.colExtra}</th></tr></thead>
+                  <tbody class="sr-extra-body"></tbody>
+                </table>
+              </div>
+            </div>
+          </div>` : ""}
+          <p class="sr-rounding-note sr-legal--small"></p>
+          <p class="sr-date-stamp"></p>
+          <div class="sr-legal sr-legal--small sr-legal-dyn"></div>
+        </div>
+      </div>`;
+
+    m.querySelector(".sr-modal__close").addEventListener("click", () => this.close());
+    m.querySelector(".sr-modal__backdrop").addEventListener("click", () => this.close());
+
+    // Amount input — debounced live update
+    let _amtTimer;
+    m.querySelector(".sr-amount-input").addEventListener("input", (e) => {
+      clearTimeout(_amtTimer);
+      _amtTimer = setTimeout(() => {
+        const val = parseFloat(e.target.value);
+        if (!isNaN(val) && val > 0) {
+          // A typed amount replaces the one solved from a budget
+          if (this.inverse.mode === "budget") this.setInverseResult("");
+          this.emit("sr-amount", { total: val });
+          this.updateForTotal(val);
+        }
+      }, 350);
+    });
+
+    // Deposit control (data-deposit): slider and field move together
+    const depUnit = m.querySelector(".sr-deposit-unit");
+    if (depUnit) {
+      const purchase = () => parseFloat(m.querySelector(".sr-amount-input").value) || 0;
+      const onDeposit = (value) => {
+        this.deposit.value = Math.max(0, parseFloat(value) || 0);
+        this.syncDepositControl(purchase());
+        if (purchase() > 0 && this.tabs.length) this.updateForTotal(purchase());
+      };
+      m.querySelector(".sr-deposit-range").addEventListener("input", (e) => onDeposit(e.target.value));
+      m.querySelector(".sr-deposit-input").addEventListener("input", (e) => onDeposit(e.target.value));
+      depUnit.addEventListener("change", () => {
+        // Same deposit in euros, expressed in the new unit
+        const total = purchase();
+        const euros = this.depositFor(total);
+        this.deposit.mode = depUnit.value;
+        onDeposit(depUnit.value === "percent" ? (total > 0 ? Math.round((euros / total) * 100) : 0) : Math.round(euros));
       });
-      m.querySelector(".sr-modal__backdrop").addEventListener("click", () => {
-        m.style.display = "none";
-        document.body.classList.remove("sr-open");
+      this.syncDepositControl(0);
+    }
+
+    // Inverse calculator (data-inverse): pick the question, then the budget or duration
+    const invModes = m.querySelector(".sr-inverse-modes");
+    if (invModes) {
+      invModes.addEventListener("click", (e) => {
+        const btn = e.target.closest(".sr-inverse-btn");
+        if (!btn) return;
+        this.inverse = { mode: btn.dataset.inverseMode, value: 0 };
+        this.syncInverseControl();
+        this.setInverseResult("");
+        const val = parseFloat(m.querySelector(".sr-amount-input").value);
+        if (val > 0 && this.tabs.length) this.updateForTotal(val);
+      });
+      let _invTimer;
+      m.querySelector(".sr-inverse-input").addEventListener("input", (e) => {
+        clearTimeout(_invTimer);
+        _invTimer = setTimeout(() => this.applyInverse(parseFloat(e.target.value)), 350);
       });
+      this.syncInverseControl();
+    }
 
-      // Amount input — debounced live update
-      let _amtTimer;
-      m.querySelector(".sr-amount-input").addEventListener("input", (e) => {
-        clearTimeout(_amtTimer);
-        _amtTimer = setTimeout(() => {
-          const val = parseFloat(e.target.value);
-          if (!isNaN(val) && val > 0) this.updateForTotal(val);
+    // Extra repayments (data-extra-repayment): re-render with the comparison
+    const extraWrap = m.querySelector(".sr-extra-wrap");
+    if (extraWrap) {
+      let _extraTimer;
+      extraWrap.addEventListener("input", () => {
+        clearTimeout(_extraTimer);
+        _extraTimer = setTimeout(() => {
+          const num = (sel) => Math.max(0, parseFloat(extraWrap.querySelector(sel).value) || 0);
+          this.extra = {
+            payment: num(".sr-extra-payment"),
+            lumpAmount: num(".sr-extra-lump"),
+            lumpMonth: Math.max(1, Math.floor(num(".sr-extra-month"))),
+          };
+          const val = parseFloat(m.querySelector(".sr-amount-input").value);
+          if (val > 0 && this.tabs.length) this.updateForTotal(val);
         }, 350);
       });
+      // Rebuilt modal (e.g. language switch): keep what the customer entered
+      extraWrap.querySelector(".sr-extra-payment").value = this.extra.payment || "";
+      extraWrap.querySelector(".sr-extra-lump").value = this.extra.lumpAmount || "";
+      extraWrap.querySelector(".sr-extra-month").value = this.extra.lumpMonth;
+    }
 
-      // Credit limit buttons — switch tier and re-render
-      m.querySelectorAll(".sr-limit-btn").forEach((btn) => {
-        btn.addEventListener("click", () => {
-          const idx = parseInt(btn.dataset.limitIdx, 10);
-          this.selectedCreditLimitIdx = idx;
-          this.updateCreditLimitSelector();
-          const amtInput = this.modal.querySelector(".sr-amount-input");
-          const val = parseFloat(amtInput?.value);
-          if (!isNaN(val) && val > 0 && this.tabs?.length) {
-            const tabIdx = Math.min(idx, this.tabs.length - 1);
-            this.activeTabIdx = tabIdx;
-            this.visibleTabs  = [this.tabs[tabIdx]];
-            this.currentTabs  = this.visibleTabs;
-            this.saveActiveTab(this.tabs[tabIdx]);
-            this.updateAppliedRangeBadge(this.tabs[tabIdx]);
-            this.renderTabs();
-            this.renderSchedule(val, 0);
-          }
-        });
+    // Schedule year groups: expand / collapse a year's months
+    m.querySelector(".sr-schedule-body").addEventListener("click", (e) => {
+      const btn = e.target.closest(".sr-year-toggle");
+      if (!btn) return;
+      const year = Number(btn.dataset.year);
+      if (!this.expandedYears.delete(year)) this.expandedYears.add(year);
+      this.renderScheduleRows();
+    });
+
+    // Balance chart: tooltip follows the pointer, or the arrow keys once focused
+    const plot = m.querySelector(".sr-chart__plot");
+    if (plot) {
+      plot.addEventListener("pointermove", (e) => {
+        const n = this._chartRows?.length || 0;
+        const rect = plot.getBoundingClientRect();
+        if (!n || !rect.width) return;
+        this.showChartMonth(Math.round(((e.clientX - rect.left) / rect.width) * n));
+      });
+      plot.addEventListener("pointerleave", () => this.showChartMonth(0));
+      plot.addEventListener("focus", () => this.showChartMonth(this._chartMonth || 1));
+      plot.addEventListener("blur", () => this.showChartMonth(0));
+      plot.addEventListener("keydown", (e) => {
+        const step = { ArrowRight: 1, ArrowLeft: -1 }[e.key];
+        if (!step) return;
+        e.preventDefault();
+        this.showChartMonth((this._chartMonth || 0) + step);
       });
     }
-    
-    this.modal = m;
+
+    // Credit limit buttons (rendered per tier once rules load) — switch tier and re-render
+    m.querySelector(".sr-credit-limit-options").addEventListener("click", (e) => {
+      const btn = e.target.closest(".sr-limit-btn");
+      if (!btn) return;
+      const idx = parseInt(btn.dataset.limitIdx, 10);
+      this.selectedCreditLimitIdx = idx;
+      this.updateCreditLimitSelector();
+      const amtInput = this.modal.querySelector(".sr-amount-input");
+      const val = parseFloat(amtInput?.value);
+      if (!isNaN(val) && val > 0 && this.tabs?.length) {
+        const tabIdx = Math.min(idx, this.tabs.length - 1);
+        this.activeTabIdx = tabIdx;
+        this.visibleTabs  = [this.tabs[tabIdx]];
+        this.currentTabs  = this.visibleTabs;
+        this.saveActiveTab(this.tabs[tabIdx]);
+        this.updateAppliedRangeBadge(this.tabs[tabIdx]);
+        this.renderTabs();
+        this.renderSchedule(val, 0);
+      }
+    });
   }
 
   /* ====================================================================== */
@@ -687,22 +1514,21 @@ class RevolvingCalc {
 
   /**
    * Open the modal. We:
-   * - read cart total from Shopify
+   * - read the cart total (unless `total` is given, e.g. by a teaser)
    * - load (if needed) the rules (new 3-file or legacy)
    * - find the matching tab/range for the total
    * - render ONLY that tab
    */
-  async open() {
-    const total = await this.getCartTotal();
+  async open(total) {
+    // Opened for the cart total: follow later cart changes (refreshFromCart)
+    this._followCart = total == null && !(parseFloat(this.root.dataset.total) > 0);
+    if (total == null) total = await this.getCartTotal();
 
     try {
-      if (!this.rules) {
-        this.rules = await this.loadNewRulesOrLegacy();
-        this.tabs = Array.isArray(this.rules.tabs) ? this.rules.tabs : [];
-      }
+      await this.ensureRules();
     } catch (e) {
       console.error("[Revolving] rules load error:", e);
-      this.renderEmpty("Indisponible pour l’instant.");
+      this.renderRulesError(e);
       this.show();
       return;
     }
@@ -714,9 +1540,8 @@ class RevolvingCalc {
       return;
     }
 
-    // Determine credit limit tier from total and sync selector
-    this.selectedCreditLimitIdx = this.creditLimitThresholds.findIndex((t) => total <= t);
-    if (this.selectedCreditLimitIdx < 0) this.selectedCreditLimitIdx = this.creditLimitThresholds.length - 1;
+    // Determine credit limit tier from the financed amount and sync selector
+    this.selectedCreditLimitIdx = this.tierIndexForTotal(this.financedAmount(total));
     this.updateCreditLimitSelector();
 
     const tabIdx = Math.min(this.selectedCreditLimitIdx, this.tabs.length - 1);
@@ -734,45 +1559,72 @@ class RevolvingCalc {
   }
 
   /**
-   * Try to load the 3 new JSONs in parallel. If at least one loads, normalize
-   * them into our internal "tabs" shape. If none load, fall back to legacy file.
+   * Load the engine and the rules once, shared by open() and the teasers.
+   * A failed load is retried on the next call.
+   */
+  ensureRules() {
+    if (!this._rulesPromise) {
+      this._rulesPromise = (async () => {
+        await __sr_loadEngine();
+        this.rules = await this.loadNewRulesOrLegacy();
+        this.tabs = Array.isArray(this.rules.tabs) ? this.rules.tabs : [];
+        this.creditLimitThresholds = this.tabs.map((tab) =>
+          Number.isFinite(tab.range?.max) ? tab.range.max : Infinity,
+        );
+        this.renderCreditLimitOptions();
+        this.offers = await this.loadOffers();
+      })().catch((e) => {
+        this._rulesPromise = null;
+        throw e;
+      });
+    }
+    return this._rulesPromise;
+  }
+
+  /**
+   * Load the per-tier JSONs in parallel. If at least one loads, normalize
+   * them into our internal "tabs" shape (one tab per tier, sorted by range).
+   * If none load, fall back to legacy file.
    */
   async loadNewRulesOrLegacy() {
-    const urls = [this.files.A, this.files.B].filter(Boolean);
+    // With a manifest, the tier files are the versions valid on the calculation date
+    const sources = this.manifestUrl
+      ? await this.loadManifestSources()
+      : this.files.filter(Boolean).map((url) => ({ url }));
+
     const results = await Promise.allSettled(
-      urls.map((u) => fetch(u, { cache: "no-store" })),
+      sources.map(async (src) => {
+        if (src.rule) return src.rule;
+        const r = await fetch(src.url, { cache: "no-store" });
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      }),
     );
 
+    // Files that fail to load or parse are skipped, but never silently
+    const diagnostics = [];
     const okResponses = [];
-    for (const r of results) {
-      if (r.status === "fulfilled" && r.value.ok) {
-        try {
-          okResponses.push(await r.value.json());
-        } catch (_) {}
+    results.forEach((r, i) => {
+      const file = sources[i].url || `manifest tier ${sources[i].version?.id ?? i}`;
+      if (r.status === "fulfilled") {
+        if (this.checkRules(r.value, file, diagnostics)) {
+          okResponses.push({ rule: r.value, version: sources[i].version });
+        }
+      } else {
+        console.warn(`[Revolving] ${file} skipped:`, r.reason);
+        diagnostics.push({ file, path: "(file)", message: String(r.reason?.message || r.reason) });
       }
+    });
+    if (this.validateRulesOnLoad && diagnostics.length) {
+      throw this.rulesError(diagnostics);
     }
 
     if (okResponses.length >= 1) {
       // Normalize to a { tabs } object
       const tabs = okResponses
-        .map((rule, idx) => ({
-          id: rule.id || ["A", "B"][idx] || `T${idx + 1}`,
-          range: rule.range || {
-            min: rule.min ?? 0,
-            max: rule.max ?? Infinity,
-          },
-          // Per-language label for the range (fallback to A/B/C if unknown)
-          label: {
-            fr: [this.t.tabA, this.t.tabB][idx] || this.t.tabA,
-            en: [this.t.tabA, this.t.tabB][idx] || this.t.tabA,
-            nl: [this.t.tabA, this.t.tabB][idx] || this.t.tabA,
-            de: [this.t.tabA, this.t.tabB][idx] || this.t.tabA,
-          },
-          bands: rule.bands || [],
-          sub_ranges: rule.sub_ranges || null,
-          monthly_rate: rule.monthly_rate || 0.0128,
-          payment_step: rule.payment_step || 2.5,
-          min_payment: rule.min_payment || 25,
+        .map(({ rule, version }, idx) => ({
+          ...this.applyVersion(srEngine().normalizeRule(rule, idx), version),
+          // No fixed label: getTabLabel() derives it from `range`
           /**
            * IMPORTANT:
            * If we are forcing i18n legal, we ignore JSON `legal_lines` and leave legal blank.
@@ -785,22 +1637,117 @@ class RevolvingCalc {
                   ? rule.legal_lines.join(" ")
                   : rule.legal_lines || "",
               ),
-          meta: {
-            apr_nominal: rule.apr_nominal,
-            apr_representative: rule.apr_representative,
-            open_fee_monthly: rule.open_fee_monthly,
-            valid_date: rule.valid_date, // optional date in JSON (e.g., "2025-05-27")
-          },
         }))
-        .sort((a, b) => (a.range?.min ?? 0) - (b.range?.min ?? 0));
+        .sort(
+          (a, b) =>
+            (a.range?.min ?? 0) - (b.range?.min ?? 0) ||
+            (a.range?.max ?? Infinity) - (b.range?.max ?? Infinity),
+        );
 
       return { tabs };
     }
 
+    // A manifest with no valid version for today must not fall back to stale rates
+    if (this.manifestUrl) {
+      diagnostics.push({ file: this.manifestUrl, path: "tiers", message: "no version valid on the calculation date" });
+      throw this.rulesError(diagnostics);
+    }
+
     // Fallback: legacy one-file JSON with `{ tabs: [...] }`
     const legacy = await fetch(this.rulesUrl, { cache: "no-store" });
-    if (!legacy.ok) throw new Error(`HTTP ${legacy.status}`);
-    return legacy.json();
+    if (!legacy.ok) {
+      diagnostics.push({ file: this.rulesUrl, path: "(file)", message: `HTTP ${legacy.status}` });
+      throw this.rulesError(diagnostics);
+    }
+    const json = await legacy.json();
+    if (!this.checkRules(json, this.rulesUrl, diagnostics)) {
+      throw this.rulesError(diagnostics);
+    }
+    return json;
+  }
+
+  /**
+   * Run the engine validator on one rules JSON when `data-validate-rules` is on.
+   * Errors are added to `diagnostics` (and the file rejected); warnings are logged.
+   * Returns true if the rules can be used.
+   */
+  checkRules(json, file, diagnostics) {
+    if (!this.validateRulesOnLoad) return true;
+    const { valid, errors, warnings } = srEngine().validateRules(json);
+    warnings.forEach((d) =>
+      console.warn(`[Revolving] ${file} ${d.path}: ${d.message}`),
+    );
+    errors.forEach((d) => diagnostics.push({ file, ...d }));
+    return valid;
+  }
+
+  /** Build the error thrown when rules can't be used, carrying its diagnostics. */
+  rulesError(diagnostics) {
+    const err = new Error(
+      `invalid revolving rules (${diagnostics.length} problem(s))`,
+    );
+    err.diagnostics = diagnostics;
+    return err;
+  }
+
+  /**
+   * Fetch the rules manifest and resolve, per tier, the version valid on the
+   * calculation date. Relative `file` paths resolve against the manifest URL.
+   */
+  async loadManifestSources() {
+    const r = await fetch(this.manifestUrl, { cache: "no-store" });
+    if (!r.ok) throw new Error(`manifest HTTP ${r.status}`);
+    const manifest = await r.json();
+    const base = new URL(this.manifestUrl, location.href);
+    return srEngine()
+      .resolveManifest(manifest, this.calculationDate())
+      .map((version) => ({
+        url: version.file ? new URL(version.file, base).href : null,
+        rule: version.rule,
+        version,
+      }));
+  }
+
+  /**
+   * Instalment offers from data-instalment-offers: inline JSON, or the URL of a
+   * JSON file. Either an array of offers or `{ offers: [...] }`. A failure only
+   * drops the comparison (logged); the revolving schedule still shows.
+   */
+  async loadOffers() {
+    if (!this.offersSource) return [];
+    try {
+      let json;
+      if (/^[[{]/.test(this.offersSource)) {
+        json = JSON.parse(this.offersSource);
+      } else {
+        const r = await fetch(this.offersSource, { cache: "no-store" });
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        json = await r.json();
+      }
+      const list = Array.isArray(json) ? json : json?.offers;
+      if (!Array.isArray(list)) throw new Error("expected an array of offers");
+      return list.map((offer) => srEngine().normalizeOffer(offer)).filter((o) => o.months >= 1);
+    } catch (e) {
+      console.warn("[Revolving] instalment offers skipped:", e);
+      return [];
+    }
+  }
+
+  /**
+   * Stamp a manifest version onto a normalized tab: the tier id, and the
+   * version's `effective_from` as the validity date printed in the legal text.
+   */
+  applyVersion(tab, version) {
+    if (!version) return tab;
+    return {
+      ...tab,
+      id: version.id || tab.id,
+      meta: {
+        ...tab.meta,
+        valid_date: version.effective_from || tab.meta.valid_date,
+        effective_until: version.effective_until,
+      },
+    };
   }
 
   /* ====================================================================== */
@@ -808,13 +1755,109 @@ class RevolvingCalc {
   /* ====================================================================== */
 
   show() {
+    const wasOpen = this.isOpen();
     this.modal.style.display = "flex";
     document.body.classList.add("sr-open");
+    if (!wasOpen) this.emit("sr-open");
   }
 
   close() {
+    const wasOpen = this.isOpen();
     this.modal.style.display = "none";
-    document.body.classList.remove("sr-open");
+    // Keep the page scroll-locked while another calculator is still open
+    if (![...__sr_instances].some((i) => i !== this && i.isOpen())) {
+      document.body.classList.remove("sr-open");
+    }
+    if (wasOpen) this.emit("sr-close");
+  }
+
+  isOpen() {
+    return !!this.modal && this.modal.style.display === "flex";
+  }
+
+  /**
+   * Set a new total. If the modal is open, the schedule re-renders in place
+   * (tier re-selected for the new amount); otherwise it's used on next open.
+   */
+  update(total) {
+    const amount = Number(total) || 0;
+    this.root.dataset.total = String(amount);
+    this._followCart = false;
+    this.rerenderTotal(amount);
+  }
+
+  /** Re-render the open modal for `amount`, re-selecting its credit tier. */
+  rerenderTotal(amount) {
+    if (!this.isOpen() || !this.tabs.length) return;
+    if (amount <= 0) {
+      this.renderEmpty(this.t.emptyCart);
+      return;
+    }
+    this.selectedCreditLimitIdx = this.tierIndexForTotal(this.financedAmount(amount));
+    this.updateCreditLimitSelector();
+    this.updateForTotal(amount);
+  }
+
+  /* ====================================================================== */
+  /* =                      Language / teardown                           = */
+  /* ====================================================================== */
+
+  /**
+   * Switch the UI language in place: rebuild the modal text, relabel the
+   * cart button, and re-render the open schedule (if any) in the new language.
+   */
+  setLanguage(lang) {
+    if ((lang || "fr") === this.lang) return;
+    this.lang = lang || "fr";
+    this.t = this.i18n(this.lang);
+
+    const wasOpen = this.isOpen();
+    const amount = parseFloat(this.modal.querySelector(".sr-amount-input")?.value);
+    this.renderModalContent();
+    if (this.tabs.length) this.renderCreditLimitOptions();
+
+    const cartBtn = document.getElementById("santander-revolving-btn");
+    if (cartBtn && this._cartObserver) cartBtn.textContent = this.t.seeScheduleBtn;
+    if (this._cartObserver) this.renderCartTeaser();
+    if (this._teaserObserver) this.renderTeasers();
+
+    if (wasOpen && this.tabs.length && amount > 0) this.updateForTotal(amount);
+  }
+
+  /**
+   * Tear this instance down: close the modal, remove the buttons it installed
+   * and its modal, and detach it from its root so it can be booted again.
+   */
+  destroy() {
+    if (this.isOpen()) this.close();
+    clearTimeout(this._feedbackTimer);
+
+    if (this._cartObserver) {
+      this._cartObserver.disconnect();
+      this._cartObserver = null;
+      document.getElementById("santander-revolving-btn")?.remove();
+      document.getElementById("santander-revolving-cart-teaser")?.remove();
+      window.__SR_CartButtonInstalled = false;
+    }
+    if (this._onInlineClick) {
+      this.root
+        .querySelector("#santander-revolving-btn-inline")
+        ?.removeEventListener("click", this._onInlineClick);
+      this._onInlineClick = null;
+    }
+    if (this._onTeaserClick) {
+      document.removeEventListener("click", this._onTeaserClick);
+      this._onTeaserClick = null;
+      this._teaserObserver?.disconnect();
+      this._teaserObserver = null;
+      document.querySelectorAll(".sr-teaser").forEach((t) => t.remove());
+      window.__SR_TeasersInstalled = false;
+    }
+
+    __sr_instances.delete(this);
+    this.modal?.remove();
+    this.modal = null;
+    if (this.root.__sr_instance === this) this.root.__sr_instance = null;
   }
 
   /* ====================================================================== */
@@ -823,6 +1866,7 @@ class RevolvingCalc {
 
   /** Render an empty modal body with a message (e.g., empty cart, error). */
   renderEmpty(message) {
+    if (this.inverse.mode === "months") this.setInverseResult("");
     this.modal.querySelector(".sr-tablist").innerHTML = "";
     this.modal.querySelector(".sr-intro-head").textContent =
       this.t.scheduleTitle;
@@ -832,19 +1876,47 @@ class RevolvingCalc {
     this.modal.querySelector(".sr-date-stamp").textContent = "";
     const pill = this.modal.querySelector(".sr-applied-range");
     if (pill) pill.hidden = true;
-    const elFirst  = this.modal.querySelector(".sr-stat-first");
-    const elMonths = this.modal.querySelector(".sr-stat-months");
-    if (elFirst)  elFirst.textContent  = "—";
-    if (elMonths) elMonths.textContent = "—";
+    this.modal
+      .querySelectorAll(".sr-extra-result, .sr-compare, .sr-chart")
+      .forEach((el) => (el.hidden = true));
+    const diag = this.modal.querySelector(".sr-diagnostics");
+    if (diag) {
+      diag.innerHTML = "";
+      diag.hidden = true;
+    }
+    this.modal
+      .querySelectorAll(
+        ".sr-stat-first, .sr-stat-months, .sr-stat-total, .sr-cost dd",
+      )
+      .forEach((el) => (el.textContent = "—"));
+  }
+
+  /**
+   * Render a rules loading/validation failure: the translated message, plus the
+   * list of diagnostics (file, JSON path, problem) when there are any.
+   */
+  renderRulesError(err) {
+    this.renderEmpty(this.t.rulesError);
+    const list = this.modal.querySelector(".sr-diagnostics");
+    const diagnostics = err?.diagnostics || [];
+    if (!list || !diagnostics.length) return;
+    diagnostics.forEach((d) => {
+      const li = document.createElement("li");
+      li.textContent = `${d.file} — ${d.path}: ${d.message}`;
+      list.appendChild(li);
+    });
+    list.hidden = false;
   }
 
-  /** Get the localized label for a tab/range. */
+  /**
+   * Get the localized label for a tab/range: a legacy JSON label if the tab
+   * carries one, otherwise computed from its range.
+   */
   getTabLabel(tab) {
     if (!tab) return "";
     const lbl = tab.label?.[this.lang];
     if (lbl) return lbl;
-    const idx = this.tabs.indexOf(tab);
-    return idx === 0 ? this.t.tabA : this.t.tabB;
+    return this.formatRangeLabel(tab.range);
   }
 
   /** Save active tab info (for CSS/telemetry) and localStorage. */
@@ -894,10 +1966,7 @@ class RevolvingCalc {
       const btn = document.createElement("button");
       btn.type = "button";
       btn.className = "sr-tab" + (i === 0 ? " is-active" : "");
-      const label =
-        tab.label?.[this.lang] ??
-        (i === 0 ? this.t.tabA : this.t.tabB);
-      btn.textContent = label;
+      btn.textContent = this.getTabLabel(tab);
       btn.addEventListener("click", () => {
         this.modal
           .querySelectorAll(".sr-tab")
@@ -912,19 +1981,6 @@ class RevolvingCalc {
     });
   }
 
-  /**
-   * (Legacy helper) Choose a column from legacy JSON by purchase breakpoints.
-   * Not used when we have "bands", but kept for back-compat.
-   */
-  pickColumn(tab /*, total */) {
-    const cols = [...(tab.columns || [])].sort(
-      (a, b) => a.purchase - b.purchase,
-    );
-    let chosen = cols.find((c) => c.purchase >= 0);
-    if (!chosen) chosen = cols[cols.length - 1];
-    return chosen;
-  }
-
   /**
    * Build the legal paragraph.
    * - If `useI18nLegal` is FALSE and the tab provided `legal` (from JSON),
@@ -942,7 +1998,7 @@ class RevolvingCalc {
     const aprNom = this.formatPercent(meta.apr_nominal);
     const feeMonthly = this.formatPercent(meta.open_fee_monthly);
     const date = this.formatDateDmy(
-      meta.valid_date ? new Date(meta.valid_date) : new Date(),
+      meta.valid_date ? this.parseDay(meta.valid_date) : this.calculationDate(),
     );
 
     const tpl = this.t.legalTpl;
@@ -988,13 +2044,6 @@ class RevolvingCalc {
     return "";
   }
 
-  /**
-   * Render the repayment schedule table and legal text for a given visible tab index.
-   * - Builds the schedule from "bands" (new) or RLE (legacy).
-   * - If the last band has "months": "final", we extend the schedule with the
-   *   last step amount until the total is reached, then add the final remainder.
-   */
-
   /**
    * Re-render the modal for a new total without reloading rules.
    * Called by the amount input on every keystroke (debounced).
@@ -1002,10 +2051,12 @@ class RevolvingCalc {
   updateForTotal(total) {
     if (!this.tabs || !this.tabs.length) return;
 
-    // Auto-correct credit limit tier if amount exceeds the selected ceiling
+    // Auto-correct credit limit tier if the financed amount (after any deposit)
+    // exceeds the selected ceiling
+    const financed = this.financedAmount(total);
     const thresholds = this.creditLimitThresholds;
     let newLimitIdx = this.selectedCreditLimitIdx;
-    while (newLimitIdx < thresholds.length - 1 && total > thresholds[newLimitIdx]) {
+    while (newLimitIdx < thresholds.length - 1 && financed > thresholds[newLimitIdx]) {
       newLimitIdx++;
     }
     if (newLimitIdx !== this.selectedCreditLimitIdx) {
@@ -1025,6 +2076,30 @@ class RevolvingCalc {
     this.renderSchedule(total, 0);
   }
 
+  /** Build one credit-limit button per tier, labelled from its range. */
+  renderCreditLimitOptions() {
+    const wrap = this.modal?.querySelector(".sr-credit-limit-options");
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    this.tabs.forEach((tab, i) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "sr-limit-btn";
+      btn.dataset.limitIdx = String(i);
+      btn.textContent = this.getTabLabel(tab);
+      wrap.appendChild(btn);
+    });
+    // A single tier leaves nothing to choose
+    wrap.parentElement.hidden = this.tabs.length <= 1;
+    this.updateCreditLimitSelector();
+  }
+
+  /** Index of the first credit tier whose ceiling covers `total` (else the highest). */
+  tierIndexForTotal(total) {
+    const idx = this.creditLimitThresholds.findIndex((t) => total <= t);
+    return idx < 0 ? this.creditLimitThresholds.length - 1 : idx;
+  }
+
   updateCreditLimitSelector() {
     if (!this.modal) return;
     this.modal.querySelectorAll(".sr-limit-btn").forEach((btn, i) => {
@@ -1035,8 +2110,9 @@ class RevolvingCalc {
   showCreditLimitFeedback() {
     const el = this.modal?.querySelector(".sr-limit-feedback");
     if (!el) return;
-    const labels = [this.t.creditLimitA, this.t.creditLimitB];
-    el.textContent = this.t.creditLimitChanged(labels[this.selectedCreditLimitIdx]);
+    el.textContent = this.t.creditLimitChanged(
+      this.getTabLabel(this.tabs[this.selectedCreditLimitIdx]),
+    );
     // restart animation
     el.setAttribute("hidden", "");
     void el.offsetWidth;
@@ -1045,6 +2121,11 @@ class RevolvingCalc {
     this._feedbackTimer = setTimeout(() => el.setAttribute("hidden", ""), 4000);
   }
 
+  /**
+   * Render the repayment schedule table and legal text for a given visible tab index.
+   * The numbers come from `computeSchedule` in revolving-engine.js, so the
+   * widget, the React package and Node callers always agree.
+   */
   renderSchedule(total, tabIdx) {
     const arr =
       this.currentTabs && this.currentTabs.length
@@ -1053,97 +2134,98 @@ class RevolvingCalc {
     const tab = arr[tabIdx];
     if (!tab) return this.renderEmpty("Indisponible.");
 
+    // The schedule covers what's left after the deposit
+    this.syncDepositControl(total);
+    const deposit = this.depositFor(total);
+    const financed = this.financedAmount(total);
+
+    // Outside the financeable bounds: say why instead of a schedule
+    const reason =
+      total > 0 && financed <= 0 ? this.t.depositCoversAll : this.ineligibleReason(financed);
+    if (reason) return this.renderEmpty(reason);
+
     // Save & badge for this tab
     this.saveActiveTab(tab);
     this.updateAppliedRangeBadge(tab);
 
-    // Build the repayment schedule — three formats supported (priority order):
-    //   1. sub_ranges: first_payment varies by exact total; schedule descends by payment_step to min_payment
-    //   2. bands: fixed descending sequence (legacy new format)
-    //   3. columns/RLE: original legacy format
-    let schedule = [];
-    let hasFinal = false;
-    let finalStepAmount = 25;
-
-    if (Array.isArray(tab.sub_ranges) && tab.sub_ranges.length) {
-      const rate   = tab.monthly_rate || 0.0128;
-      const minPay = tab.min_payment  || 25;
-      let balance  = total;
-      while (balance > 0.009) {
-        let sr = tab.sub_ranges.find((r) => {
-          const minCmp = r.min % 1 !== 0 ? balance >= r.min : Math.round(balance) >= r.min;
-          const maxCmp = r.max % 1 !== 0 ? balance <= r.max : Math.round(balance) <= r.max;
-          return minCmp && maxCmp;
-        });
-        if (!sr) {
-          sr = [...tab.sub_ranges].reverse().find((r) => {
-            return r.max % 1 !== 0 ? balance > r.max : Math.round(balance) > r.max;
-          });
-        }
-        const payment = sr ? sr.first_payment : minPay;
-        balance       = +(balance * (1 + rate)).toFixed(10);
-        const p       = +Math.min(payment, balance).toFixed(2);
-        schedule.push(p);
-        balance = +(balance - p).toFixed(10);
-      }
-    } else if (Array.isArray(tab.bands) && tab.bands.length) {
-      schedule = expandBands(tab.bands);
-      hasFinal =
-        String(tab.bands[tab.bands.length - 1]?.months).toLowerCase() ===
-        "final";
-      if (hasFinal) {
-        for (let i = tab.bands.length - 2; i >= 0; i--) {
-          if (typeof tab.bands[i].months === "number") {
-            finalStepAmount = Number(tab.bands[i].amount) || 25;
-            break;
-          }
-        }
-      }
-    } else if (tab.columns?.length) {
-      const col = this.pickColumn(tab, total);
-      schedule = expandRLE(col.rle);
-    }
-
-    // Top up with min-payment months until total is reached, then add any remainder
-    const sumPaid = schedule.reduce((a, b) => a + b, 0);
-    if (hasFinal && total > sumPaid) {
-      let rest = +(total - sumPaid).toFixed(2);
-      while (rest - finalStepAmount > 0.009) {
-        schedule.push(finalStepAmount);
-        rest = +(rest - finalStepAmount).toFixed(2);
-      }
-      if (rest > 0.009) schedule.push(+rest.toFixed(2));
+    // Build the repayment schedule (sub_ranges, bands or legacy RLE) via the engine
+    // Inverse "months" mode: the level payment that repays it in the duration asked
+    const monthsMode = this.inverse.mode === "months";
+    const solved =
+      monthsMode && this.inverse.value
+        ? srEngine().paymentForMonths(financed, tab, this.inverse.value)
+        : null;
+    const result = solved || srEngine().computeSchedule(financed, tab);
+    if (monthsMode) {
+      // Only sub_ranges rules can be solved: band and legacy tiers keep the standard schedule
+      this.setInverseResult(
+        !tab.sub_ranges?.length
+          ? this.t.monthsUnavailable
+          : solved
+            ? this.t.monthsResult(`${SR_FMT(this.lang, solved.payment)} €`, solved.months)
+            : "",
+      );
     }
 
     /* ---------------------------- UI updates ---------------------------- */
 
     // Keep the amount input in sync (don't overwrite while user is typing)
     const amtInput = this.modal.querySelector(".sr-amount-input");
-    if (amtInput && document.activeElement !== amtInput) amtInput.value = total;
+    if (amtInput && this.modal.getRootNode().activeElement !== amtInput) amtInput.value = total;
 
     // Top teaser: "Or from X/month ..."
-    const first = schedule[0] || 0;
+    const first = result.firstPayment;
     this.modal.querySelector(".sr-intro-head").textContent = this.t.teaser(
       `${SR_FMT(this.lang, first)}€`,
     );
 
     this.modal.querySelector(".sr-intro-sub").textContent = "";
 
-    // Table rows
-    const body = this.modal.querySelector(".sr-schedule-body");
-    body.innerHTML = "";
-    schedule.forEach((amount, idx) => {
-      const tr = document.createElement("tr");
-      tr.innerHTML = `<td>${idx + 1}</td><td>${SR_FMT(this.lang, amount)} €</td>`;
-      body.appendChild(tr);
-    });
+    // Table rows — two columns, or the full amortization breakdown
+    const table = this.modal.querySelector(".sr-schedule-body").closest(".sr-table");
+    table.classList.toggle("sr-table--detailed", this.detailedSchedule);
+    const cols = this.detailedSchedule
+      ? [
+          [this.t.colOpening, "opening"],
+          [this.t.colToRepay, "payment"],
+          [this.t.colInterest, "interest"],
+          [this.t.colFee, "fee"],
+          [this.t.colCapital, "capital"],
+          [this.t.colBalance, "closing"],
+        ]
+      : [[this.t.colToRepay, "payment"]];
+    const head = this.modal.querySelector(".sr-schedule-head");
+    const headHtml =
+      `<tr><th>${this.t.colMonths}</th>` +
+      cols.map(([label]) => `<th>${label}</th>`).join("") +
+      "</tr>";
+    if (head.innerHTML !== headHtml) head.innerHTML = headHtml;
+
+    this.renderScheduleRows(result.rows, cols);
 
     // Summary stats
-    const numMonths   = schedule.length;
+    const numMonths   = result.months;
     const elFirst  = this.modal.querySelector(".sr-stat-first");
     const elMonths = this.modal.querySelector(".sr-stat-months");
+    const elTotal  = this.modal.querySelector(".sr-stat-total");
     if (elFirst)  elFirst.textContent  = `${SR_FMT(this.lang, first)} €`;
     if (elMonths) elMonths.textContent = numMonths;
+    if (elTotal)  elTotal.textContent  = `${SR_FMT(this.lang, result.totalPaid)} €`;
+
+    // Cost of credit: interest + card fees
+    const setCost = (sel, n) => {
+      const el = this.modal.querySelector(sel);
+      if (el) el.textContent = `${SR_FMT(this.lang, n)} €`;
+    };
+    setCost(".sr-cost-deposit", deposit);
+    setCost(".sr-cost-financed", financed);
+    setCost(".sr-cost-interest", result.totalInterest);
+    setCost(".sr-cost-fees", result.totalFees);
+    setCost(".sr-cost-total", result.totalCost);
+
+    this.renderChart(result.rows);
+    const extra = this.renderExtraRepayment(financed, tab, result, solved ? solved.payment : 0);
+    const offers = this.renderComparison(financed, result);
 
     // Legal (dynamic, or legacy JSON if allowed and present)
     const legal = this.modal.querySelector(".sr-legal-dyn");
@@ -1154,12 +2236,299 @@ class RevolvingCalc {
     if (roundingEl) roundingEl.textContent = this.t.roundingNote || "";
 
     // Keep the existing dd/mm/yyyy stamp for backward compatibility
-    const d = new Date();
+    const d = this.calculationDate();
     const dd = String(d.getDate()).padStart(2, "0");
     const mm = String(d.getMonth() + 1).padStart(2, "0");
     const yyyy = d.getFullYear();
     this.modal.querySelector(".sr-date-stamp").textContent =
       `${this.t.dateLabel}: ${dd}/${mm}/${yyyy}`;
+
+    this.emit("sr-schedule", {
+      total,
+      deposit,
+      financed: result.total,
+      tier: tab.id,
+      firstPayment: result.firstPayment,
+      months: result.months,
+      totalPaid: result.totalPaid,
+      totalInterest: result.totalInterest,
+      totalFees: result.totalFees,
+      totalCost: result.totalCost,
+      ...(extra && { extra }),
+      ...(offers && { offers }),
+    });
+  }
+
+  /**
+   * Comparison with the instalment offers (data-instalment-offers): monthly
+   * payment, duration and total cost of the revolving schedule and of each
+   * offer covering `financed`, the cheapest total marked, and each offer's
+   * legal sentence from `legalTpl.instalment`. Returns the rows for
+   * `sr-schedule`, or null without offers.
+   */
+  renderComparison(financed, revolving) {
+    const wrap = this.modal.querySelector(".sr-compare");
+    if (!wrap) return null;
+
+    const options = [
+      {
+        id: "revolving",
+        label: this.t.revolvingOffer,
+        payment: revolving.firstPayment,
+        months: revolving.months,
+        totalPaid: revolving.totalPaid,
+        totalCost: revolving.totalCost,
+      },
+    ];
+    const legal = [];
+    this.offers.forEach((offer) => {
+      const r = srEngine().computeInstalmentOffer(financed, offer);
+      if (!r) return;
+      options.push({
+        id: offer.id,
+        label: offer.label || this.t.instalmentOffer(offer.months),
+        payment: r.payment,
+        months: r.months,
+        totalPaid: r.totalPaid,
+        totalCost: r.totalCost,
+      });
+      legal.push(this.buildOfferLegal(offer, r));
+    });
+    wrap.hidden = options.length < 2;
+    if (wrap.hidden) return null;
+
+    const cheapest = Math.min(...options.map((o) => o.totalCost));
+    options.forEach((o) => (o.cheapest = o.totalCost === cheapest));
+
+    const money = (n) => `${SR_FMT(this.lang, n)} €`;
+    wrap.querySelector(".sr-compare-body").innerHTML = options
+      .map(
+        (o) =>
+          `<tr${o.cheapest ? ' class="is-cheapest"' : ""}><td>${__sr_escapeHtml(o.label)}` +
+          (o.cheapest ? ` <span class="sr-compare-badge">${this.t.cheapest}</span>` : "") +
+          `</td><td>${money(o.payment)}</td><td>${o.months} ${this.t.monthsUnit}</td><td>${money(o.totalCost)}</td></tr>`,
+      )
+      .join("");
+    wrap.querySelector(".sr-compare-legal").innerHTML = legal.map((html) => `<p>${html}</p>`).join("");
+
+    return options;
+  }
+
+  /**
+   * Draw the balance chart for the schedule `rows`: remaining balance (area and
+   * line) and cumulative interest, month 0 at the amount financed. Plain SVG
+   * paths in a 600×160 viewBox stretched to the modal width; colors come from
+   * the theme variables in santander-revolving.css.
+   */
+  renderChart(rows) {
+    const wrap = this.modal.querySelector(".sr-chart");
+    if (!wrap) return;
+    this._chartRows = rows;
+    this._chartMonth = 0;
+    wrap.hidden = rows.length < 2;
+    if (wrap.hidden) return;
+
+    const W = 600;
+    const H = 160;
+    const n = rows.length;
+    const max = rows[0].opening || 1;
+    let cumulated = 0;
+    const interest = [0, ...rows.map((r) => (cumulated = Math.round((cumulated + r.interest) * 100) / 100))];
+    const balance = [rows[0].opening, ...rows.map((r) => r.closing)];
+    this._chartInterest = interest;
+
+    const pt = (v, i) => `${((i / n) * W).toFixed(1)},${(H - (v / max) * H).toFixed(1)}`;
+    const line = (values) => `M${values.map(pt).join("L")}`;
+    wrap.querySelector(".sr-chart__svg").innerHTML =
+      `<path class="sr-chart__area" d="${line(balance)}L${W},${H}L0,${H}Z"/>` +
+      `<path class="sr-chart__line sr-chart__line--balance" d="${line(balance)}" pathLength="1" vector-effect="non-scaling-stroke"/>` +
+      `<path class="sr-chart__line sr-chart__line--interest" d="${line(interest)}" pathLength="1" vector-effect="non-scaling-stroke"/>`;
+    wrap.querySelector(".sr-chart__max").textContent = `${SR_FMT(this.lang, max)} €`;
+    wrap.querySelector(".sr-chart__months").textContent = `${n} ${this.t.monthsUnit}`;
+    this.showChartMonth(0);
+  }
+
+  /** Tooltip and markers for `month` (1-based, clamped); 0 hides them. */
+  showChartMonth(month) {
+    const wrap = this.modal.querySelector(".sr-chart");
+    const rows = this._chartRows || [];
+    if (!wrap || !rows.length) return;
+    const tip = wrap.querySelector(".sr-chart__tip");
+    const dots = wrap.querySelectorAll(".sr-chart__dot");
+    this._chartMonth = month ? Math.min(Math.max(month, 1), rows.length) : 0;
+    if (!this._chartMonth) {
+      tip.hidden = true;
+      dots.forEach((dot) => (dot.hidden = true));
+      return;
+    }
+
+    const row = rows[this._chartMonth - 1];
+    const max = rows[0].opening || 1;
+    const left = (this._chartMonth / rows.length) * 100;
+    const place = (dot, value) => {
+      dot.style.left = `${left}%`;
+      dot.style.top = `${100 - (value / max) * 100}%`;
+      dot.hidden = false;
+    };
+    place(dots[0], row.closing);
+    place(dots[1], this._chartInterest[this._chartMonth]);
+
+    tip.innerHTML =
+      `<strong>${this.t.colMonths} ${row.month}</strong>` +
+      `<span>${this.t.colBalance}: ${SR_FMT(this.lang, row.closing)} €</span>` +
+      `<span>${this.t.chartInterest}: ${SR_FMT(this.lang, this._chartInterest[this._chartMonth])} €</span>`;
+    // Keep the tooltip inside the plot near both edges
+    tip.style.left = `${Math.min(Math.max(left, 18), 82)}%`;
+    tip.hidden = false;
+  }
+
+  /** Legal sentence of an instalment offer for its computed schedule `r`. */
+  buildOfferLegal(offer, r) {
+    const money = (n) => `${SR_FMT(this.lang, n)} €`;
+    return formatLegalText(
+      this.t.legalTpl.instalment({
+        amount: money(r.total),
+        months: r.months,
+        payment: money(r.payment),
+        aprRep: this.formatPercent(offer.apr_representative),
+        aprNom: this.formatPercent(offer.apr_nominal ?? offer.apr_representative),
+        fees: r.totalFees ? money(r.totalFees) : "",
+        totalDue: money(r.totalPaid),
+        date: this.formatDateDmy(
+          offer.valid_date ? this.parseDay(offer.valid_date) : this.calculationDate(),
+        ),
+      }),
+    );
+  }
+
+  /**
+   * Fill `.sr-schedule-body` with the schedule `rows` in `cols`. Over 12 months
+   * the rows are grouped by year: a toggle row with the year's subtotals, and
+   * the months only while the year is expanded (`expandedYears`, the first by
+   * default). Rows are keyed (month "m7", year "y2") and patched in place by
+   * patchRows(), so re-rendering on every keystroke in the amount field stays cheap.
+   */
+  renderScheduleRows(rows = this._scheduleRows || [], cols = this._scheduleCols || []) {
+    this._scheduleRows = rows;
+    this._scheduleCols = cols;
+    const money = (n) => `${SR_FMT(this.lang, n)} €`;
+    const monthSpec = (row) => ({
+      key: `m${row.month}`,
+      cells: [row.month, ...cols.map(([, key]) => money(row[key]))],
+    });
+
+    const specs = [];
+    if (rows.length <= 12) {
+      rows.forEach((row) => specs.push(monthSpec(row)));
+    } else {
+      for (let start = 0; start < rows.length; start += 12) {
+        const year = start / 12 + 1;
+        const months = rows.slice(start, start + 12);
+        const subtotal = (key) => {
+          if (key === "opening") return months[0].opening;
+          if (key === "closing") return months[months.length - 1].closing;
+          return Math.round(months.reduce((a, r) => a + r[key], 0) * 100) / 100;
+        };
+        const open = this.expandedYears.has(year);
+        specs.push({
+          key: `y${year}`,
+          year,
+          open,
+          cells: [this.t.yearLabel(year), ...cols.map(([, key]) => money(subtotal(key)))],
+        });
+        if (open) months.forEach((row) => specs.push(monthSpec(row)));
+      }
+    }
+
+    const body = this.modal.querySelector(".sr-schedule-body");
+    // A different column count (detailed toggle) can't be patched
+    if (body.dataset.cols !== String(cols.length)) {
+      body.innerHTML = "";
+      body.dataset.cols = cols.length;
+    }
+    this.patchRows(body, specs);
+  }
+
+  /**
+   * Make `body`'s rows match `specs` ({ key, cells, year?, open? }, in order):
+   * <tr>s with a known data-key are kept, moved and patched cell by cell, new
+   * keys get a row, and rows whose key is gone are removed. A `year` spec is a
+   * collapsible year row, its label in a .sr-year-toggle button.
+   */
+  patchRows(body, specs) {
+    const existing = new Map([...body.children].map((tr) => [tr.dataset.key, tr]));
+    let cursor = body.firstElementChild;
+    specs.forEach((spec) => {
+      let tr = existing.get(spec.key);
+      existing.delete(spec.key);
+      if (!tr) {
+        tr = document.createElement("tr");
+        tr.dataset.key = spec.key;
+        tr.innerHTML = spec.cells.map(() => "<td></td>").join("");
+        if (spec.year) {
+          tr.className = "sr-year-row";
+          tr.firstChild.innerHTML = `<button type="button" class="sr-year-toggle" data-year="${spec.year}"></button>`;
+        }
+      }
+      if (tr === cursor) cursor = cursor.nextElementSibling;
+      else body.insertBefore(tr, cursor);
+
+      spec.cells.forEach((text, i) => {
+        const cell = i === 0 && spec.year ? tr.children[0].firstChild : tr.children[i];
+        if (cell.textContent !== String(text)) cell.textContent = text;
+      });
+      if (spec.year) tr.children[0].firstChild.setAttribute("aria-expanded", String(spec.open));
+    });
+    existing.forEach((tr) => tr.remove());
+  }
+
+  /**
+   * Extra repayment comparison (data-extra-repayment): the schedule with the
+   * customer's monthly payment and lump sum, month by month next to `standard`
+   * (the schedule shown above, paying at least `basePayment` a month in
+   * inverse "months" mode), and the months and interest saved. Returns the
+   * summary for `sr-schedule`, or null when there's nothing to compare.
+   */
+  renderExtraRepayment(financed, tab, standard, basePayment = 0) {
+    const wrap = this.modal.querySelector(".sr-extra-wrap");
+    if (!wrap) return null;
+    const out = wrap.querySelector(".sr-extra-result");
+    const { payment, lumpAmount, lumpMonth } = this.extra;
+    if (!payment && !lumpAmount) {
+      out.hidden = true;
+      return null;
+    }
+
+    const accelerated = srEngine().computeSchedule(financed, tab, {
+      payment: Math.max(payment, basePayment),
+      lumpSum: lumpAmount ? { month: lumpMonth, amount: lumpAmount } : null,
+    });
+    const monthsSaved = standard.months - accelerated.months;
+    const interestSaved = Math.round((standard.totalInterest - accelerated.totalInterest) * 100) / 100;
+
+    wrap.querySelector(".sr-extra-savings").textContent =
+      monthsSaved > 0 || interestSaved > 0
+        ? this.t.extraSavings(monthsSaved, `${SR_FMT(this.lang, interestSaved)} €`)
+        : this.t.extraNone;
+
+    const cell = (row) => (row ? `${SR_FMT(this.lang, row.payment)} €` : "—");
+    const specs = [];
+    for (let i = 0; i < Math.max(standard.months, accelerated.months); i++) {
+      specs.push({ key: `m${i + 1}`, cells: [i + 1, cell(standard.rows[i]), cell(accelerated.rows[i])] });
+    }
+    this.patchRows(wrap.querySelector(".sr-extra-body"), specs);
+    out.hidden = false;
+
+    return {
+      firstPayment: accelerated.firstPayment,
+      months: accelerated.months,
+      totalPaid: accelerated.totalPaid,
+      totalInterest: accelerated.totalInterest,
+      totalFees: accelerated.totalFees,
+      totalCost: accelerated.totalCost,
+      monthsSaved,
+      interestSaved,
+    };
   }
 
   /* ====================================================================== */
@@ -1167,28 +2536,207 @@ class RevolvingCalc {
   /* ====================================================================== */
 
   /**
-   * Shopify cart total:
-   * - GET "/cart.js" -> { total_price: <cents>, ... }
-   * - Convert cents to euros
+   * Cart total in euros:
+   * - data-total, if set
+   * - else the cart provider (data-cart-provider, Shopify's /cart.js by default there),
+   *   minus the lines excluded from financing
+   * Provider errors are logged and count as an empty cart.
    */
   async getCartTotal() {
     // Standalone mode: total passed directly via data-total attribute
     const dataTotal = parseFloat(this.root.dataset.total);
     if (!isNaN(dataTotal) && dataTotal > 0) return dataTotal;
 
-    // Shopify mode: read from /cart.js (only in actual Shopify environment)
-    if (!window.Shopify) return 0;
+    if (!this.cartProvider) return 0;
+    const provider = SR_CART_PROVIDERS[this.cartProvider];
+    if (!provider) {
+      console.error(`[Revolving] unknown cart provider "${this.cartProvider}"`);
+      return 0;
+    }
 
     try {
-      const r = await fetch("/cart.js", { cache: "no-store" });
-      if (!r.ok) throw new Error(`HTTP ${r.status}`);
-      const cart = await r.json();
-      return (cart.total_price || 0) / 100;
+      const cart = await provider.getTotal(this.cartConfig);
+      const total = typeof cart === "number" ? cart : this.financeableTotal(cart);
+      return total > 0 ? total : 0;
     } catch (e) {
-      console.error("[Revolving] cart.js error:", e);
+      console.error(`[Revolving] ${this.cartProvider} cart total error:`, e);
       return 0;
     }
   }
+
+  /**
+   * Cart total minus the lines the lender won't finance: gift cards, and the
+   * product types, tags and SKUs listed in data-exclude-*. Cart-level
+   * discounts stay on the financed part.
+   */
+  financeableTotal({ total = 0, items = [] } = {}) {
+    const excluded = items
+      .filter((item) => this.isExcluded(item))
+      .reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+    return Math.max(0, Math.round((total - excluded) * 100) / 100);
+  }
+
+  /** Whether a cart line matches the exclusion rules. */
+  isExcluded(item) {
+    const ex = this.exclusions;
+    const key = (v) => String(v ?? "").trim().toLowerCase();
+    return (
+      (ex.giftCards && !!item.giftCard) ||
+      ex.productTypes.includes(key(item.productType)) ||
+      ex.skus.includes(key(item.sku)) ||
+      (item.tags || []).some((tag) => ex.tags.includes(key(tag)))
+    );
+  }
+
+  /** Deposit in euros on a purchase of `total`, capped at the purchase (0 without data-deposit). */
+  depositFor(total) {
+    if (!this.depositEnabled || !(total > 0)) return 0;
+    const { mode, value } = this.deposit;
+    const amount = mode === "percent" ? (total * value) / 100 : value;
+    return Math.round(Math.min(amount, total) * 100) / 100;
+  }
+
+  /** What is financed on a purchase of `total`: the total minus the deposit. */
+  financedAmount(total) {
+    return Math.round(((total || 0) - this.depositFor(total)) * 100) / 100;
+  }
+
+  /**
+   * Show this.deposit in the deposit control. The slider spans 0-100 % or
+   * 0 to the purchase amount.
+   */
+  syncDepositControl(total) {
+    const range = this.modal?.querySelector(".sr-deposit-range");
+    if (!range) return;
+    const percent = this.deposit.mode === "percent";
+    // max before value, or the browser clamps the value to the old max
+    range.max = String(percent ? 100 : Math.max(Math.floor(total) || 0, 0));
+    range.value = String(this.deposit.value);
+    const input = this.modal.querySelector(".sr-deposit-input");
+    if (this.modal.getRootNode().activeElement !== input) input.value = this.deposit.value;
+    if (percent) input.max = "100";
+    else input.removeAttribute("max");
+    this.modal.querySelector(".sr-deposit-unit").value = this.deposit.mode;
+  }
+
+  /** Purchase amount whose financed part (after the deposit) is `financed`, rounded down to the cent. */
+  purchaseForFinanced(financed) {
+    if (!this.depositEnabled) return financed;
+    const { mode, value } = this.deposit;
+    if (mode === "percent") {
+      return value < 100 ? Math.floor((financed / (1 - value / 100)) * 100) / 100 : financed;
+    }
+    return Math.floor((financed + value) * 100) / 100;
+  }
+
+  /** Show the inverse mode: active button, and the budget / duration field. */
+  syncInverseControl() {
+    const wrap = this.modal?.querySelector(".sr-inverse-wrap");
+    if (!wrap) return;
+    const { mode, value } = this.inverse;
+    wrap.querySelectorAll(".sr-inverse-btn").forEach((btn) => {
+      btn.classList.toggle("is-active", btn.dataset.inverseMode === mode);
+    });
+    wrap.querySelector(".sr-inverse-field").hidden = mode === "amount";
+    wrap.querySelector(".sr-inverse-field label").textContent =
+      mode === "budget" ? this.t.budgetLabel : this.t.monthsLabel;
+    wrap.querySelector(".sr-inverse-unit").textContent = mode === "budget" ? "€" : this.t.monthsUnit;
+    wrap.querySelector(".sr-inverse-input").value = value || "";
+  }
+
+  setInverseResult(text) {
+    const el = this.modal?.querySelector(".sr-inverse-result");
+    if (!el) return;
+    el.textContent = text;
+    el.hidden = !text;
+  }
+
+  /**
+   * Answer the inverse question for `value`. "budget": the largest amount
+   * whose first payment fits, put in the amount field (tier chosen by the
+   * solver, then auto-corrected by updateForTotal). "months": re-render, and
+   * renderSchedule solves the payment.
+   */
+  applyInverse(value) {
+    this.inverse.value = value > 0 ? value : 0;
+    if (!this.tabs.length) return;
+    const amtInput = this.modal.querySelector(".sr-amount-input");
+
+    if (this.inverse.mode === "budget") {
+      if (!this.inverse.value) return this.setInverseResult("");
+      const solved = srEngine().maxTotalForPayment(this.tabs, this.inverse.value);
+      if (!solved || this.ineligibleReason(solved.total)) {
+        const floor = Math.min(
+          ...this.tabs.map((tab) =>
+            Math.min(tab.min_payment, ...(tab.sub_ranges || []).map((r) => r.first_payment)),
+          ),
+        );
+        return this.setInverseResult(
+          solved ? this.ineligibleReason(solved.total) : this.t.budgetTooLow(`${SR_FMT(this.lang, floor)} €`),
+        );
+      }
+      const total = this.purchaseForFinanced(solved.total);
+      amtInput.value = total;
+      this.emit("sr-amount", { total });
+      this.selectedCreditLimitIdx = solved.tierIndex;
+      this.updateCreditLimitSelector();
+      this.updateForTotal(total);
+      this.setInverseResult(
+        this.t.budgetResult(
+          `${SR_FMT(this.lang, this.inverse.value)} €`,
+          `${SR_FMT(this.lang, total)} €`,
+        ),
+      );
+      return;
+    }
+
+    const total = parseFloat(amtInput.value);
+    if (total > 0) this.updateForTotal(total);
+  }
+
+  /**
+   * Why `total` can't be financed, as the message the modal shows ("" if it
+   * can): nothing financeable, under data-min-amount, or above the highest
+   * tier's range.max.
+   */
+  ineligibleReason(total) {
+    const reason = srEngine().ineligibility(this.tabs, total, { minAmount: this.minAmount });
+    if (reason === "empty") return this.t.emptyCart;
+    if (reason === "tooLow") return this.t.tooLow(this.formatIntCurrency(this.minAmount));
+    if (reason === "tooHigh") return this.t.tooHigh;
+    return "";
+  }
+
+  /**
+   * The cart changed (see __sr_watchCart): re-render the open schedule
+   * if it shows the cart total, and the cart-button teaser.
+   */
+  async refreshFromCart() {
+    const follow = this.isOpen() && this._followCart;
+    const teaser = this._cartObserver && this.cartTeaser;
+    if (!follow && !teaser) return;
+
+    const total = await this.getCartTotal();
+    if (follow && this.isOpen() && this._followCart) this.rerenderTotal(total);
+    if (teaser) this.renderCartTeaser(total);
+  }
+
+  /** Show "Or from X/month" for the cart total under the cart button (data-cart-teaser). */
+  async renderCartTeaser(total = this._cartTeaserTotal) {
+    const el = document.getElementById("santander-revolving-cart-teaser");
+    if (!el || total == null) return;
+    this._cartTeaserTotal = total;
+    try {
+      await this.ensureRules();
+    } catch (e) {
+      // Reported when the modal opens
+      el.hidden = true;
+      return;
+    }
+    const first = this.firstPaymentFor(total);
+    el.textContent = first > 0 ? this.t.teaser(`${SR_FMT(this.lang, first)}€`) : "";
+    el.hidden = !(first > 0);
+  }
 }
 
 /* ========================================================================== */
@@ -1237,9 +2785,305 @@ function __sr_boot() {
   }
 }
 
+/* ========================================================================== */
+/* =                              Public API                                = */
+/* ========================================================================== */
+
+/** Live calculator instances (registered by the constructor, removed by destroy()). */
+const __sr_instances = new Set();
+/** Last instance number handed out (see RevolvingCalc#domId). */
+let __sr_uid = 0;
+
+/** Resolves once the DOM is parsed (instances need document.body). */
+function __sr_domReady() {
+  if (document.readyState !== "loading") return Promise.resolve();
+  return new Promise((resolve) =>
+    document.addEventListener("DOMContentLoaded", resolve, { once: true }),
+  );
+}
+
+/**
+ * The instance the public API drives: the cart embed, else the first root on
+ * the page. Pages without any root get a standalone (button-less) one.
+ */
+function __sr_apiInstance() {
+  __sr_boot();
+  const cartEmbed = document.getElementById("santander-revolving-cart-embed");
+  if (cartEmbed?.__sr_instance) return cartEmbed.__sr_instance;
+  const first = __sr_instances.values().next().value;
+  if (first) return first;
+
+  const root = document.createElement("div");
+  root.id = "santander-revolving-root-api";
+  root.dataset.renderInline = "true";
+  document.body.appendChild(root);
+  root.__sr_instance = new RevolvingCalc(root);
+  return root.__sr_instance;
+}
+
+/**
+ * window.SantanderCalc — programmatic control for single-page checkouts, so
+ * integrators don't have to reach into `root.__sr_instance`. Every method
+ * waits for the DOM and returns a Promise.
+ *
+ *   SantanderCalc.open({ total: 1250, lang: "fr" });
+ *   SantanderCalc.update(980);          // cart changed: re-renders the open modal
+ *   SantanderCalc.setLanguage("nl");
+ *   SantanderCalc.setTheme({ primary: "#ec0000" });
+ *   SantanderCalc.close();
+ *   SantanderCalc.destroy();            // remove every calculator from the page
+ *   SantanderCalc.registerCartProvider("headless", { getTotal: async () => 1250 });
+ */
+const SantanderCalc = {
+  /**
+   * Open the modal, optionally for a given total (euros) and language.
+   * The total applies to this opening only; use update() to keep one.
+   */
+  open({ total, lang } = {}) {
+    return __sr_domReady().then(() => {
+      const inst = __sr_apiInstance();
+      if (lang && lang !== inst.lang) inst.setLanguage(lang);
+      return inst.open(total != null ? Number(total) || 0 : undefined);
+    });
+  },
+
+  /**
+   * Set a new total. If the modal is open, the schedule re-renders in place
+   * (tier re-selected for the new amount); otherwise it's used on next open.
+   */
+  update(total) {
+    return __sr_domReady().then(() => __sr_apiInstance().update(total));
+  },
+
+  /** Close the modal (no-op if closed). */
+  close() {
+    return __sr_domReady().then(() => {
+      const inst = __sr_apiInstance();
+      if (inst.isOpen()) inst.close();
+    });
+  },
+
+  /** Change colors: { primary, bg, headerBg, headerFg }. */
+  setTheme(theme) {
+    return __sr_domReady().then(() => __sr_apiInstance().setTheme(theme));
+  },
+
+  /** Switch language ("fr" | "en" | "nl" | "de"), re-rendering the open modal. */
+  setLanguage(lang) {
+    return __sr_domReady().then(() => __sr_apiInstance().setLanguage(lang));
+  },
+
+  /** Tear down every calculator on the page (buttons, modal, observers). */
+  destroy() {
+    return __sr_domReady().then(() => {
+      [...__sr_instances].forEach((inst) => inst.destroy());
+    });
+  },
+
+  /**
+   * Add (or replace) a cart total provider, used by roots with
+   * data-cart-provider="<name>". See SR_CART_PROVIDERS for the shape.
+   * Registered right away; the Promise is for symmetry with the other methods.
+   */
+  registerCartProvider(name, provider) {
+    if (!name || typeof provider?.getTotal !== "function") {
+      throw new Error("registerCartProvider(name, { getTotal }) expects a name and a getTotal function");
+    }
+    SR_CART_PROVIDERS[name] = provider;
+    // Instances booted before the provider existed start watching its cart now
+    if ([...__sr_instances].some((i) => i.cartProvider === name)) __sr_watchCart(provider);
+    return Promise.resolve();
+  },
+};
+
+if (!window.SantanderCalc) window.SantanderCalc = SantanderCalc;
+
+/* ========================================================================== */
+/* =                     <santander-calc> custom element                    = */
+/* ========================================================================== */
+
+/**
+ * <santander-calc total="1250" lang="fr"></santander-calc>
+ *
+ * A button + modal rendered in Shadow DOM, so the theme's CSS and
+ * santander-revolving.css can't clash. Attributes stay live: `total`
+ * re-renders the open schedule, `lang` relabels and re-renders, colors
+ * restyle. sr-open / sr-close / sr-schedule / sr-amount fire on the element.
+ */
+
+/** Attributes read once per calculator (rules source): changing one rebuilds it. */
+const SR_ELEMENT_CONFIG = {
+  "revolving-files": "revolvingFiles",
+  "revolving-manifest": "revolvingManifest",
+  "calculation-date": "calculationDate",
+  "validate-rules": "validateRules",
+};
+
+/** Colors accept "#e60000" or "e60000", like index.html. */
+const __sr_hex = (c) => (c && !c.startsWith("#") ? `#${c}` : c);
+
+if (window.customElements && !customElements.get("santander-calc")) {
+  class SantanderCalcElement extends HTMLElement {
+    static get observedAttributes() {
+      return [
+        "total",
+        "lang",
+        "primary",
+        "bg",
+        "header-bg",
+        "header-fg",
+        "detailed",
+        "btn-text",
+        ...Object.keys(SR_ELEMENT_CONFIG),
+      ];
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: "open" });
+      this.calc = null;
+    }
+
+    connectedCallback() {
+      if (!this.calc) this.mount();
+    }
+
+    disconnectedCallback() {
+      this.unmount();
+    }
+
+    /** Open the schedule (same as clicking the button). */
+    open() {
+      return this.calc?.open();
+    }
+
+    close() {
+      this.calc?.close();
+    }
+
+    /** Build the shadow tree and a RevolvingCalc rendering its modal into it. */
+    mount() {
+      // @font-face is ignored inside shadow roots: the font must be loaded by the page
+      if (!document.querySelector("link[data-sr-fonts]")) {
+        const fonts = document.createElement("link");
+        fonts.rel = "stylesheet";
+        fonts.href =
+          "https://fonts.googleapis.com/css2?family=Geist:wght@400;500;600;700;800;900&display=swap";
+        fonts.setAttribute("data-sr-fonts", "");
+        document.head.appendChild(fonts);
+      }
+
+      const shadow = this.shadowRoot;
+      shadow.innerHTML = `
+        <link rel="stylesheet" href="${__sr_assetUrl("santander-revolving.css")}">
+        <button type="button" class="sr-calc-btn" part="button"></button>
+        <div class="sr-calc-root" hidden></div>`;
+
+      const root = shadow.querySelector(".sr-calc-root");
+      const d = root.dataset;
+      const attr = (name) => this.getAttribute(name);
+      d.renderInline = "true";
+      d.useI18nLegal = "true";
+      // No total attribute: the modal opens on the empty state, never on a cart
+      if (attr("total") != null) d.total = attr("total");
+      d.language = attr("lang") || "fr";
+      if (attr("primary")) d.primaryColor = __sr_hex(attr("primary"));
+      if (attr("bg")) d.bgColor = __sr_hex(attr("bg"));
+      if (attr("header-bg")) d.headerBg = __sr_hex(attr("header-bg"));
+      if (attr("header-fg")) d.headerFg = __sr_hex(attr("header-fg"));
+      d.detailedSchedule = String(this.isDetailed());
+      // Default tiers: the rules files shipped next to this script
+      d.revolvingFileA = __sr_assetUrl("revolving_bands_0_1250.json");
+      d.revolvingFileB = __sr_assetUrl("revolving_bands_1251_5000.json");
+      Object.entries(SR_ELEMENT_CONFIG).forEach(([name, key]) => {
+        if (attr(name) != null) d[key] = attr(name);
+      });
+
+      this.calc = new RevolvingCalc(root, { container: shadow, cart: false });
+      root.__sr_instance = this.calc;
+
+      const btn = shadow.querySelector(".sr-calc-btn");
+      btn.addEventListener("click", () => this.calc.open());
+      btn.hidden = this.hasAttribute("autoopen");
+      this.renderButton();
+      if (this.hasAttribute("autoopen")) this.calc.open();
+    }
+
+    unmount() {
+      this.calc?.destroy();
+      this.calc = null;
+      this.shadowRoot.innerHTML = "";
+    }
+
+    isDetailed() {
+      const v = this.getAttribute("detailed");
+      return v != null && v !== "false";
+    }
+
+    renderButton() {
+      const btn = this.shadowRoot.querySelector(".sr-calc-btn");
+      if (btn) btn.textContent = this.getAttribute("btn-text") || this.calc.t.seeScheduleBtn;
+    }
+
+    /** Amount shown in the open modal (the customer may have edited it). */
+    shownAmount() {
+      const v = parseFloat(this.calc.modal?.querySelector(".sr-amount-input")?.value);
+      return v > 0 ? v : 0;
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      if (!this.calc || oldValue === value) return;
+
+      if (name === "total") {
+        this.calc.update(value);
+      } else if (name === "lang") {
+        this.calc.setLanguage(value || "fr");
+        this.renderButton();
+      } else if (name === "btn-text") {
+        this.renderButton();
+      } else if (name === "detailed") {
+        this.calc.detailedSchedule = this.isDetailed();
+        const amount = this.shownAmount();
+        if (this.calc.isOpen() && this.calc.tabs.length && amount) {
+          this.calc.updateForTotal(amount);
+        }
+      } else if (name in SR_ELEMENT_CONFIG) {
+        // New rules source: rebuild the calculator (rules are loaded once per instance)
+        const wasOpen = this.calc.isOpen();
+        this.unmount();
+        this.mount();
+        if (wasOpen) this.calc.open();
+      } else {
+        this.calc.setTheme({
+          primary: __sr_hex(this.getAttribute("primary")),
+          bg: __sr_hex(this.getAttribute("bg")),
+          headerBg: __sr_hex(this.getAttribute("header-bg")),
+          headerFg: __sr_hex(this.getAttribute("header-fg")),
+        });
+      }
+    }
+  }
+
+  customElements.define("santander-calc", SantanderCalcElement);
+}
+
 if (!window.__SR_RevolvingInit) {
   window.__SR_RevolvingInit = true;
-  document.addEventListener("DOMContentLoaded", __sr_boot);
+  // Injected after parsing (loader.js / React inline mode): boot right away
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", __sr_boot);
+  } else {
+    __sr_boot();
+  }
+
+  // Roots added later announce themselves with a bubbling "sr-mount" event
+  document.addEventListener("sr-mount", (e) => {
+    const root = e.target;
+    if (root?.dataset && !root.__sr_instance) {
+      root.__sr_instance = new RevolvingCalc(root);
+    }
+  });
+
   document.addEventListener("shopify:section:load", (e) => {
     e?.target
       ?.querySelectorAll?.('[id^="santander-revolving-root-"]')
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+"use strict";
+
+/**
+ * Generate revolving-i18n.mjs, the strings of the React and server components,
+ * from the `// <sr-i18n>` block of santander-revolving.js, so the widget's
+ * dictionary stays the only hand-maintained copy.
+ *
+ *   npm run i18n              # rewrite revolving-i18n.mjs
+ *   npm run i18n -- --check   # exit with 1 if it is out of date
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const SOURCE = path.join(ROOT, "santander-revolving.js");
+const TARGET = path.join(ROOT, "revolving-i18n.mjs");
+
+/** The generated module for the widget source `src`. */
+function generate(src) {
+  const m = /^\/\/ <sr-i18n>\n([\s\S]*?)^\/\/ <\/sr-i18n>$/m.exec(src);
+  if (!m) throw new Error("no // <sr-i18n> … // </sr-i18n> block in santander-revolving.js");
+  return (
+    "// Generated from santander-revolving.js by scripts/generate-i18n.js: do not edit.\n" +
+    "// Change the widget's strings, then run `npm run i18n`.\n\n" +
+    m[1] +
+    "\nexport { SR_I18N, SR_LOCALES };\n"
+  );
+}
+
+function main() {
+  const expected = generate(fs.readFileSync(SOURCE, "utf8"));
+  if (process.argv.includes("--check")) {
+    const current = fs.existsSync(TARGET) ? fs.readFileSync(TARGET, "utf8") : "";
+    if (current === expected) return 0;
+    console.error("revolving-i18n.mjs is out of date: run `npm run i18n`");
+    return 1;
+  }
+  fs.writeFileSync(TARGET, expected);
+  console.error(`wrote ${path.relative(process.cwd(), TARGET)}`);
+  return 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exit(main());
+  } catch (e) {
+    console.error(`generate-i18n: ${e.message}`);
+    process.exit(2);
+  }
+}
+
+module.exports = { generate, SOURCE, TARGET };
@@ -0,0 +1,48 @@
+import * as React from "react";
+import type { ScheduleResult } from "./index";
+
+export interface LoadRulesOptions {
+  /** Rules files; relative paths resolve against process.cwd() */
+  files?: string[];
+  /** Rules manifest, used instead of `files`; its `file`s resolve against it */
+  manifest?: string;
+  /** Calculation date for the manifest — default: today */
+  date?: Date | string;
+}
+
+/**
+ * Read rules files for server rendering. Resolves to raw, serializable JSONs:
+ * pass them as `rules` to the client components too, so they hydrate without fetching.
+ * Without a source, the two default tiers shipped in the package are read.
+ */
+export declare function loadRules(source?: string[] | LoadRulesOptions): Promise<object[]>;
+
+/**
+ * Schedule for `total` under the tier that covers it, computed synchronously.
+ * Above the highest tier's `range.max`: empty schedule, `tier` null, `ineligible` "tooHigh".
+ */
+export declare function getRevolvingSchedule(
+  total: number,
+  rules: object[]
+): ScheduleResult & { tier: string | null; tierIndex: number | null; ineligible: "" | "empty" | "tooHigh" };
+
+export interface ServerTeaserProps {
+  total: number;
+  /** Rules JSONs, from `loadRules` or imported */
+  rules: object[];
+  lang?: "fr" | "en" | "nl" | "de";
+  /** Default: "sr-react-teaser" */
+  className?: string;
+  style?: React.CSSProperties;
+}
+
+/** Server-rendered "Ou à partir de X €/mois avec paiement échelonné." */
+export declare function RevolvingTeaser(props: ServerTeaserProps): React.JSX.Element | null;
+
+export interface ServerScheduleProps extends ServerTeaserProps {
+  /** Opening balance, interest, card fee, principal and remaining columns — default: false */
+  detailed?: boolean;
+}
+
+/** Server-rendered, static schedule table (widget `.sr-table` markup) */
+export declare function RevolvingSchedule(props: ServerScheduleProps): React.JSX.Element | null;
@@ -0,0 +1,85 @@
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import engine from "./revolving-engine.js";
+import { scheduleForTotal, teaserElement, scheduleTableElement } from "./revolving-view.mjs";
+
+/*
+ * Server-safe entry (`santander-calc/server`) for SSR and React Server
+ * Components: no "use client", no hooks, no fetch. Rules are read from disk or
+ * passed in, and the teaser and schedule table render into the server HTML.
+ */
+
+const DEFAULT_FILES = ["revolving_bands_0_1250.json", "revolving_bands_1251_5000.json"];
+
+async function readJson(file) {
+  return JSON.parse(await readFile(file, "utf8"));
+}
+
+/**
+ * Read rules files for server rendering. Resolves to the raw JSONs, which are
+ * serializable: pass them as `rules` to the client components as well, so they
+ * hydrate without fetching the files again.
+ *
+ *   const rules = await loadRules(["rules/revolving_bands_0_1250.json", "rules/revolving_bands_1251_5000.json"]);
+ *   const rules = await loadRules({ manifest: "rules/revolving_manifest.json", date: "2026-02-01" });
+ *
+ * Relative paths resolve against process.cwd(), and manifest `file`s against the
+ * manifest. Without a source, the two default tiers shipped in this package are read.
+ * Files that fail are skipped with a warning; it only throws if none can be read.
+ */
+export async function loadRules(source) {
+  const { files, manifest, date } = Array.isArray(source) ? { files: source } : source || {};
+
+  let sources;
+  if (manifest) {
+    const manifestPath = path.resolve(manifest);
+    const json = await readJson(manifestPath);
+    sources = engine.resolveManifest(json, date || new Date()).map((v) => ({
+      file: v.file ? path.resolve(path.dirname(manifestPath), v.file) : null,
+      rule: v.rule,
+      // Same stamping as the widget: tier id, and the version date in the legal text
+      patch: v.effective_from ? { id: v.id, valid_date: v.effective_from } : { id: v.id },
+    }));
+  } else if (files?.length) {
+    sources = files.map((file) => ({ file: path.resolve(file) }));
+  } else {
+    sources = DEFAULT_FILES.map((file) => ({ file: new URL(`./${file}`, import.meta.url) }));
+  }
+
+  const results = await Promise.allSettled(
+    sources.map((src) => (src.rule ? src.rule : readJson(src.file))),
+  );
+  const rules = [];
+  results.forEach((r, i) => {
+    if (r.status === "fulfilled") {
+      const patch = sources[i].patch;
+      rules.push(patch ? { ...r.value, ...patch } : r.value);
+    } else {
+      console.warn(`[Revolving] ${sources[i].file} skipped:`, r.reason);
+    }
+  });
+  if (!rules.length) throw new Error("no revolving rules could be loaded");
+  return rules;
+}
+
+/**
+ * Schedule for `total` under the tier that covers it, computed synchronously
+ * from rules JSONs (as returned by `loadRules`, or imported). Above the highest
+ * tier's range.max it can't be financed: empty schedule, `ineligible: "tooHigh"`.
+ */
+export function getRevolvingSchedule(total, rules) {
+  return scheduleForTotal(engine.normalizeTiers(rules), total);
+}
+
+/** Server-rendered "Ou à partir de X €/mois avec paiement échelonné." — null if it can't be financed. */
+export function RevolvingTeaser({ total, rules, lang = "fr", className, style }) {
+  const { firstPayment, ineligible } = getRevolvingSchedule(total, rules);
+  if (ineligible) return null;
+  return teaserElement({ firstPayment, lang, className, style });
+}
+
+/** Server-rendered, static schedule table (widget `.sr-table` markup). */
+export function RevolvingSchedule({ total, rules, lang = "fr", detailed = false, className, style }) {
+  const { rows } = getRevolvingSchedule(total, rules);
+  return scheduleTableElement({ rows, lang, detailed, className, style });
+}
@@ -0,0 +1,179 @@
+/*
+ * Cart total providers (SR_CART_PROVIDERS in santander-revolving.js), run in
+ * jsdom against a local mock shop. Each test boots the widget on one root and
+ * reads the total the modal would open with (RevolvingCalc#getCartTotal).
+ */
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const read = (file) => fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+const ENGINE = read("revolving-engine.js");
+const WIDGET = read("santander-revolving.js");
+
+/** Mock shop: path (with query) → [status, body]; a string body is sent as is. */
+const ROUTES = {
+  "/cart.js": [200, {
+    total_price: 125050,
+    items: [{ final_line_price: 125050, product_type: "Sofa", sku: "SOFA-1", handle: "sofa" }],
+  }],
+  "/custom/cart.js": [200, { total_price: 9999, items: [] }],
+  "/wp-json/wc/store/cart": [200, {
+    totals: { total_price: "125050", currency_minor_unit: 2 },
+    items: [{ sku: "SOFA-1", totals: { line_total: "100000", line_total_tax: "25050", currency_minor_unit: 2 } }],
+  }],
+  "/wc/no-decimals": [200, { totals: { total_price: "1250", currency_minor_unit: 0 }, items: [] }],
+  "/wc/three-decimals": [200, { totals: { total_price: "1250500", currency_minor_unit: 3 }, items: [] }],
+  "/api/cart": [200, { total: 450.25 }],
+  "/api/nested": [200, { data: { cart: { amount: 99900 } } }],
+  "/broken": [500, { error: "boom" }],
+  "/not-json": [200, "<html>maintenance</html>"],
+};
+
+let server;
+let origin;
+/** Paths the mock shop was asked for, in order. */
+let hits = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.push(req.url);
+    const [status, body] = ROUTES[req.url] || [404, { error: "not found" }];
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(typeof body === "string" ? body : JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+/**
+ * Boot the widget on a page of the mock shop with one root carrying `attrs`
+ * (data-* attributes). `setup(window)` runs before the widget script.
+ * Resolves to { window, calc, errors } — errors being console.error calls.
+ */
+async function page(attrs, setup) {
+  const data = Object.entries(attrs)
+    .map(([name, value]) => ` data-${name}="${value}"`)
+    .join("");
+  const dom = new JSDOM(`<!DOCTYPE html><body><div id="santander-revolving-root-test"${data}></div></body>`, {
+    url: `${origin}/`,
+    runScripts: "outside-only",
+  });
+  const { window } = dom;
+  // jsdom has no fetch: relative URLs resolve against the page, like a browser
+  window.fetch = (url) => fetch(new URL(url, window.location.href));
+  const errors = [];
+  window.console.error = (...args) => errors.push(args.map(String).join(" "));
+  if (setup) setup(window);
+
+  window.eval(ENGINE);
+  window.eval(WIDGET);
+  await new Promise((resolve) => window.addEventListener("load", resolve, { once: true }));
+
+  const calc = window.document.getElementById("santander-revolving-root-test").__sr_instance;
+  hits = [];
+  return { window, calc, errors };
+}
+
+test("shopify: total_price is in cents", async () => {
+  const { calc, errors } = await page({ "cart-provider": "shopify" });
+  assert.equal(await calc.getCartTotal(), 1250.5);
+  assert.deepEqual(hits, ["/cart.js"]);
+  assert.deepEqual(errors, []);
+});
+
+test("shopify: is the default on Shopify stores, and data-cart-url overrides /cart.js", async () => {
+  const { calc } = await page({ "cart-url": "/custom/cart.js" }, (window) => {
+    window.Shopify = {};
+  });
+  assert.equal(calc.cartProvider, "shopify");
+  assert.equal(await calc.getCartTotal(), 99.99);
+  assert.deepEqual(hits, ["/custom/cart.js"]);
+});
+
+test("data-total wins over the provider, which is not called", async () => {
+  const { calc } = await page({ total: "800", "cart-provider": "shopify" });
+  assert.equal(await calc.getCartTotal(), 800);
+  assert.deepEqual(hits, []);
+});
+
+test("woocommerce: amounts follow the declared currency_minor_unit", async () => {
+  const { calc, errors } = await page({ "cart-provider": "woocommerce" });
+  assert.equal(await calc.getCartTotal(), 1250.5);
+  assert.deepEqual(hits, ["/wp-json/wc/store/cart"]);
+
+  calc.cartConfig.url = "/wc/no-decimals";
+  assert.equal(await calc.getCartTotal(), 1250);
+  calc.cartConfig.url = "/wc/three-decimals";
+  assert.equal(await calc.getCartTotal(), 1250.5);
+  assert.deepEqual(errors, []);
+});
+
+test("json: reads `total` in euros by default", async () => {
+  const { calc, errors } = await page({ "cart-provider": "json", "cart-url": "/api/cart" });
+  assert.equal(await calc.getCartTotal(), 450.25);
+  assert.deepEqual(errors, []);
+});
+
+test("json: data-cart-total-path and data-cart-minor-units", async () => {
+  const { calc, errors } = await page({
+    "cart-provider": "json",
+    "cart-url": "/api/nested",
+    "cart-total-path": "data.cart.amount",
+    "cart-minor-units": "2",
+  });
+  assert.equal(await calc.getCartTotal(), 999);
+  assert.deepEqual(errors, []);
+});
+
+test("callback: sync and async functions, by dotted name, in minor units", async () => {
+  const { window, calc, errors } = await page(
+    { "cart-provider": "callback", "cart-callback": "shop.cart.total", "cart-minor-units": "2" },
+    (w) => {
+      w.shop = { cart: { total: () => 64900 } };
+    },
+  );
+  assert.equal(await calc.getCartTotal(), 649);
+
+  window.shop.cart.total = async () => 120000;
+  assert.equal(await calc.getCartTotal(), 1200);
+  assert.deepEqual(hits, []);
+  assert.deepEqual(errors, []);
+});
+
+test("errors: a failing provider logs and counts as an empty cart", async (t) => {
+  const cases = [
+    ["shopify HTTP error", { "cart-provider": "shopify", "cart-url": "/broken" }, /shopify cart total error:.*HTTP 500/],
+    ["shopify invalid JSON", { "cart-provider": "shopify", "cart-url": "/not-json" }, /shopify cart total error/],
+    ["woocommerce HTTP error", { "cart-provider": "woocommerce", "cart-url": "/broken" }, /woocommerce cart total error:.*HTTP 500/],
+    ["woocommerce not found", { "cart-provider": "woocommerce", "cart-url": "/missing" }, /woocommerce cart total error:.*HTTP 404/],
+    ["json without data-cart-url", { "cart-provider": "json" }, /json cart total error:.*data-cart-url is required/],
+    ["json invalid JSON", { "cart-provider": "json", "cart-url": "/not-json" }, /json cart total error/],
+    ["callback not a function", { "cart-provider": "callback", "cart-callback": "shop.nope" }, /callback cart total error:.*"shop.nope" is not a function/],
+    ["unknown provider", { "cart-provider": "magento" }, /unknown cart provider "magento"/],
+  ];
+  for (const [name, attrs, message] of cases) {
+    await t.test(name, async () => {
+      const { calc, errors } = await page(attrs);
+      assert.equal(await calc.getCartTotal(), 0);
+      assert.equal(errors.length, 1);
+      assert.match(errors[0], message);
+    });
+  }
+});
+
+test("errors: a throwing callback logs and counts as an empty cart", async () => {
+  const { calc, errors } = await page({ "cart-provider": "callback", "cart-callback": "getTotal" }, (window) => {
+    window.getTotal = async () => {
+      throw new Error("cart unavailable");
+    };
+  });
+  assert.equal(await calc.getCartTotal(), 0);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /callback cart total error:.*cart unavailable/);
+});
@@ -0,0 +1,27 @@
+/*
+ * revolving-engine.js checks shared by the widget, the React components and
+ * the server entry.
+ */
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../revolving-engine.js");
+
+const TIERS = engine.normalizeTiers([
+  require("../revolving_bands_0_1250.json"),
+  require("../revolving_bands_1251_5000.json"),
+]);
+
+test("ineligibility: empty, under the minimum, above the highest tier", () => {
+  assert.equal(engine.ineligibility(TIERS, 0), "empty");
+  assert.equal(engine.ineligibility(TIERS, 100, { minAmount: 200 }), "tooLow");
+  assert.equal(engine.ineligibility(TIERS, 200, { minAmount: 200 }), "");
+  assert.equal(engine.ineligibility(TIERS, 5000), "");
+  assert.equal(engine.ineligibility(TIERS, 5000.01), "tooHigh");
+  assert.equal(engine.ineligibility(TIERS, 99999), "tooHigh");
+});
+
+test("ineligibility: no ceiling without tiers, or with an open-ended one", () => {
+  assert.equal(engine.ineligibility([], 99999), "");
+  const open = TIERS.map((t, i) => (i === TIERS.length - 1 ? { ...t, range: { min: t.range.min } } : t));
+  assert.equal(engine.ineligibility(open, 99999), "");
+});
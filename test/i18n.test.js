@@ -0,0 +1,22 @@
+/*
+ * revolving-i18n.mjs (React and server strings) is generated from the widget's
+ * dictionary: it must match santander-revolving.js.
+ */
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const { generate, SOURCE, TARGET } = require("../scripts/generate-i18n.js");
+
+test("revolving-i18n.mjs is up to date (npm run i18n)", () => {
+  assert.equal(fs.readFileSync(TARGET, "utf8"), generate(fs.readFileSync(SOURCE, "utf8")));
+});
+
+test("every language has the same keys as French", async () => {
+  const { SR_I18N, SR_LOCALES } = await import("../revolving-i18n.mjs");
+  const keys = (dict) => Object.keys(dict).sort();
+  for (const lang of Object.keys(SR_I18N)) {
+    assert.deepEqual(keys(SR_I18N[lang]), keys(SR_I18N.fr), lang);
+    assert.deepEqual(keys(SR_I18N[lang].legalTpl), keys(SR_I18N.fr.legalTpl), `${lang} legalTpl`);
+    assert.ok(SR_LOCALES[lang], `${lang} locale`);
+  }
+});